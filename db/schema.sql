@@ -48,10 +48,187 @@ CREATE TABLE IF NOT EXISTS bookings (
   full_name TEXT NOT NULL,
   phone TEXT NOT NULL,
   down_payment NUMERIC NOT NULL,
-  months INTEGER NOT NULL CHECK (months >= 2 AND months <= 12),
+  months INTEGER NOT NULL CHECK (months >= 1),
   monthly_payment NUMERIC NOT NULL,
   total_payment NUMERIC NOT NULL,
-  status TEXT NOT NULL CHECK (status IN ('pending', 'reserved', 'sold', 'canceled')) DEFAULT 'pending',
+  status TEXT NOT NULL CHECK (status IN ('pending', 'reserved', 'sold', 'canceled', 'expired')) DEFAULT 'pending',
   created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
   updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
 );
+
+ALTER TABLE bookings DROP CONSTRAINT IF EXISTS bookings_status_check;
+ALTER TABLE bookings ADD CONSTRAINT bookings_status_check
+  CHECK (status IN ('pending', 'reserved', 'sold', 'canceled', 'expired'));
+
+CREATE INDEX IF NOT EXISTS bookings_status_updated_at_idx
+  ON bookings (status, updated_at);
+
+CREATE TABLE IF NOT EXISTS booking_status_history (
+  id BIGSERIAL PRIMARY KEY,
+  booking_id BIGINT NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+  old_status TEXT,
+  new_status TEXT NOT NULL,
+  telegram_user_id BIGINT,
+  reason TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS booking_status_history_booking_id_idx
+  ON booking_status_history (booking_id, created_at);
+
+-- At most one reserved/sold booking per listing. Skipped (with a notice) while
+-- legacy duplicates exist so the server can still start.
+DO $$
+BEGIN
+  CREATE UNIQUE INDEX IF NOT EXISTS bookings_one_active_per_listing_idx
+    ON bookings (listing_code)
+    WHERE status IN ('reserved', 'sold');
+EXCEPTION
+  WHEN unique_violation THEN
+    RAISE NOTICE 'bookings_one_active_per_listing_idx not created: duplicate active bookings exist';
+END $$;
+
+CREATE TABLE IF NOT EXISTS booking_installments (
+  id BIGSERIAL PRIMARY KEY,
+  booking_id BIGINT NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+  installment_number INTEGER NOT NULL,
+  due_date DATE NOT NULL,
+  amount NUMERIC NOT NULL,
+  paid_amount NUMERIC NOT NULL DEFAULT 0 CHECK (paid_amount >= 0),
+  paid_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (booking_id, installment_number)
+);
+
+CREATE INDEX IF NOT EXISTS booking_installments_due_date_idx
+  ON booking_installments (due_date)
+  WHERE paid_amount < amount;
+
+CREATE TABLE IF NOT EXISTS financing_plans (
+  id BIGSERIAL PRIMARY KEY,
+  name TEXT NOT NULL,
+  min_down_percent NUMERIC NOT NULL CHECK (min_down_percent >= 0 AND min_down_percent <= 100),
+  monthly_rate_percent NUMERIC NOT NULL CHECK (monthly_rate_percent >= 0),
+  min_months INTEGER NOT NULL CHECK (min_months >= 1),
+  max_months INTEGER NOT NULL,
+  min_price NUMERIC,
+  max_price NUMERIC,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK (max_months >= min_months)
+);
+
+-- Default plan matching the original hard-coded terms (30% down, 5%/month, 2-12 months)
+INSERT INTO financing_plans (name, min_down_percent, monthly_rate_percent, min_months, max_months)
+SELECT 'Standart', 30, 5, 2, 12
+WHERE NOT EXISTS (SELECT 1 FROM financing_plans);
+
+ALTER TABLE bookings DROP CONSTRAINT IF EXISTS bookings_months_check;
+ALTER TABLE bookings ADD CONSTRAINT bookings_months_check CHECK (months >= 1);
+
+-- Terms are copied onto the booking so later plan edits don't rewrite history
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS financing_plan_id BIGINT REFERENCES financing_plans(id);
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS min_down_percent NUMERIC;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS monthly_rate_percent NUMERIC;
+
+UPDATE bookings
+SET min_down_percent = 30, monthly_rate_percent = 5
+WHERE financing_plan_id IS NULL AND monthly_rate_percent IS NULL;
+
+CREATE INDEX IF NOT EXISTS bookings_listing_code_status_idx
+  ON bookings (listing_code, status);
+
+CREATE INDEX IF NOT EXISTS listings_created_at_idx ON listings (created_at, code);
+CREATE INDEX IF NOT EXISTS listings_price_idx ON listings (price, code);
+CREATE INDEX IF NOT EXISTS listings_rating_idx ON listings (rating, code);
+CREATE INDEX IF NOT EXISTS listings_battery_idx
+  ON listings ((COALESCE(substring(battery from '[0-9]{1,3}')::int, 0)), code);
+
+-- Text search over model/name/color/storage; the expression must match listingSearchSql in index.js
+CREATE INDEX IF NOT EXISTS listings_search_idx
+  ON listings USING GIN (
+    to_tsvector('simple', model || ' ' || name || ' ' || color || ' ' || storage)
+  );
+
+-- Admin roles; admins that existed before roles keep full rights as owners
+ALTER TABLE admins ADD COLUMN IF NOT EXISTS role TEXT NOT NULL DEFAULT 'owner';
+ALTER TABLE admins DROP CONSTRAINT IF EXISTS admins_role_check;
+ALTER TABLE admins ADD CONSTRAINT admins_role_check
+  CHECK (role IN ('owner', 'manager', 'seller'));
+
+-- bookings.user_id holds the booker's Telegram ID; give existing ones a users row before linking
+INSERT INTO users (telegram_user_id)
+SELECT DISTINCT user_id FROM bookings WHERE user_id IS NOT NULL
+ON CONFLICT (telegram_user_id) DO NOTHING;
+
+DO $$
+BEGIN
+  ALTER TABLE bookings ADD CONSTRAINT bookings_user_id_fkey
+    FOREIGN KEY (user_id) REFERENCES users(telegram_user_id) ON DELETE SET NULL;
+EXCEPTION
+  WHEN duplicate_object THEN NULL;
+END $$;
+
+CREATE INDEX IF NOT EXISTS bookings_user_id_idx ON bookings (user_id, created_at);
+
+CREATE TABLE IF NOT EXISTS listing_imports (
+  id BIGSERIAL PRIMARY KEY,
+  status TEXT NOT NULL CHECK (status IN ('queued', 'running', 'done', 'failed')),
+  total_rows INTEGER NOT NULL,
+  processed_rows INTEGER NOT NULL DEFAULT 0,
+  results JSONB NOT NULL DEFAULT '[]',
+  error TEXT,
+  created_by BIGINT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  finished_at TIMESTAMPTZ
+);
+
+-- The accepting instance refreshes updated_at while it holds the import; a stale one is
+-- failed and its staging_dir (per-import folder of staged images) removed
+ALTER TABLE listing_imports ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+ALTER TABLE listing_imports ADD COLUMN IF NOT EXISTS staging_dir TEXT;
+
+-- Outbound Telegram calls (channel posts, caption edits, orders chat messages)
+CREATE TABLE IF NOT EXISTS telegram_jobs (
+  id BIGSERIAL PRIMARY KEY,
+  kind TEXT NOT NULL,
+  payload JSONB NOT NULL DEFAULT '{}',
+  listing_code INTEGER REFERENCES listings(code) ON DELETE SET NULL,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'running', 'done', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 5,
+  run_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_error TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  finished_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS telegram_jobs_due_idx
+  ON telegram_jobs (run_at, id)
+  WHERE status = 'pending';
+
+CREATE INDEX IF NOT EXISTS telegram_jobs_status_updated_at_idx
+  ON telegram_jobs (status, updated_at);
+
+-- Jobs outlive their listing so failed ones stay visible in /api/telegram-jobs
+ALTER TABLE telegram_jobs DROP CONSTRAINT IF EXISTS telegram_jobs_listing_code_fkey;
+ALTER TABLE telegram_jobs ADD CONSTRAINT telegram_jobs_listing_code_fkey
+  FOREIGN KEY (listing_code) REFERENCES listings(code) ON DELETE SET NULL;
+
+-- Channel publish state per listing; older rows are derived from telegram_message_id once
+ALTER TABLE listings ADD COLUMN IF NOT EXISTS publish_status TEXT;
+UPDATE listings
+SET publish_status = CASE WHEN telegram_message_id IS NULL THEN 'failed' ELSE 'published' END
+WHERE publish_status IS NULL;
+ALTER TABLE listings ALTER COLUMN publish_status SET DEFAULT 'queued';
+ALTER TABLE listings ALTER COLUMN publish_status SET NOT NULL;
+ALTER TABLE listings DROP CONSTRAINT IF EXISTS listings_publish_status_check;
+ALTER TABLE listings ADD CONSTRAINT listings_publish_status_check
+  CHECK (publish_status IN ('queued', 'published', 'failed'));
+
+-- Every message id of the channel album, so re-posts and deletes remove exactly what was
+-- sent. Older rows only know the first id (telegram_message_id); the app assumes the rest
+-- of such an album follows it consecutively.
+ALTER TABLE listings ADD COLUMN IF NOT EXISTS telegram_message_ids BIGINT[];
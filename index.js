@@ -1,5 +1,7 @@
 const path = require("path");
 const fs = require("fs");
+const os = require("os");
+const zlib = require("zlib");
 const crypto = require("crypto");
 
 const express = require("express");
@@ -9,6 +11,12 @@ const multer = require("multer");
 const { Pool } = require("pg");
 const dotenv = require("dotenv");
 const FormData = require("form-data");
+const sharp = require("sharp");
+const ExcelJS = require("exceljs");
+const AdmZip = require("adm-zip");
+
+const { verifyTelegramWebAppData, verifyTelegramContact } = require("./telegramAuth");
+const { createLocalStorage, createS3Storage } = require("./storage");
 
 dotenv.config({ path: path.join(__dirname, ".env") });
 
@@ -21,13 +29,90 @@ const DB_PASSWORD = process.env.DB_PASSWORD || "";
 const DB_NAME = process.env.DB_NAME || "sotvoluzdb";
 const PUBLIC_BASE_URL = process.env.PUBLIC_BASE_URL || `http://localhost:${PORT}`;
 const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(__dirname, "uploads");
+// "local" keeps images in UPLOAD_DIR, "s3" stores them in an S3-compatible bucket
+const STORAGE_DRIVER = String(process.env.STORAGE_DRIVER || "local").toLowerCase();
+const S3_BUCKET = process.env.S3_BUCKET || "";
+const S3_REGION = process.env.S3_REGION || "us-east-1";
+const S3_ENDPOINT = process.env.S3_ENDPOINT || "";
+const S3_ACCESS_KEY_ID = process.env.S3_ACCESS_KEY_ID || "";
+const S3_SECRET_ACCESS_KEY = process.env.S3_SECRET_ACCESS_KEY || "";
+const S3_FORCE_PATH_STYLE = String(process.env.S3_FORCE_PATH_STYLE || "false") === "true";
+const S3_PREFIX = process.env.S3_PREFIX ?? "uploads/";
+const S3_PUBLIC_URL = process.env.S3_PUBLIC_URL || "";
+// Unreferenced uploads younger than this are left alone (a request may still be using them)
+const UPLOAD_GC_GRACE_HOURS = Math.max(Number(process.env.UPLOAD_GC_GRACE_HOURS ?? 24) || 0, 0);
 const TELEGRAM_BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN || "";
 const TELEGRAM_CHANNEL_ID = process.env.TELEGRAM_CHANNEL_ID || "";
 const TELEGRAM_ORDERS_CHAT_ID = process.env.TELEGRAM_ORDERS_CHAT_ID || "";
+// "webhook" registers /api/telegram/webhook with Telegram, "polling" uses getUpdates (local dev)
+const TELEGRAM_UPDATES_MODE = String(process.env.TELEGRAM_UPDATES_MODE || "").toLowerCase();
+const TELEGRAM_WEBHOOK_SECRET = process.env.TELEGRAM_WEBHOOK_SECRET || "";
 const ALLOW_DEV_BYPASS = String(process.env.ALLOW_DEV_BYPASS || "false") === "true";
 const DEV_BYPASS =
   ALLOW_DEV_BYPASS &&
   (PUBLIC_BASE_URL.includes("localhost") || PUBLIC_BASE_URL.includes("127.0.0.1"));
+// How many pending booking requests one listing may hold at once (0 = unlimited)
+const MAX_PENDING_BOOKINGS_PER_LISTING = Math.max(
+  Number(process.env.MAX_PENDING_BOOKINGS_PER_LISTING ?? 3) || 0,
+  0,
+);
+// Stale booking expiry, in hours (0 disables expiry for that status)
+const BOOKING_PENDING_TTL_HOURS = Math.max(
+  Number(process.env.BOOKING_PENDING_TTL_HOURS ?? 24) || 0,
+  0,
+);
+const BOOKING_RESERVED_TTL_HOURS = Math.max(
+  Number(process.env.BOOKING_RESERVED_TTL_HOURS ?? 72) || 0,
+  0,
+);
+const BOOKING_EXPIRY_INTERVAL_MINUTES = Math.max(
+  Number(process.env.BOOKING_EXPIRY_INTERVAL_MINUTES || 15) || 15,
+  1,
+);
+// HMAC secret for session tokens issued by /api/auth/verify
+const SESSION_SECRET = process.env.SESSION_SECRET || "";
+const SESSION_TTL_HOURS = Math.max(Number(process.env.SESSION_TTL_HOURS || 12) || 12, 1);
+// initData older than this is rejected (0 disables the check)
+const TELEGRAM_AUTH_MAX_AGE_SECONDS = Math.max(
+  Number(process.env.TELEGRAM_AUTH_MAX_AGE_SECONDS ?? 86400) || 0,
+  0,
+);
+// Outbound Telegram job queue: attempts before a job is marked failed, first retry delay
+// (doubled per attempt, unless Telegram sends retry_after) and idle poll interval
+const TELEGRAM_JOB_MAX_ATTEMPTS = Math.max(Number(process.env.TELEGRAM_JOB_MAX_ATTEMPTS || 5) || 5, 1);
+const TELEGRAM_JOB_RETRY_BASE_SECONDS = Math.max(
+  Number(process.env.TELEGRAM_JOB_RETRY_BASE_SECONDS || 10) || 10,
+  1,
+);
+const TELEGRAM_JOB_POLL_SECONDS = Math.max(Number(process.env.TELEGRAM_JOB_POLL_SECONDS || 5) || 5, 1);
+// Finished and failed jobs older than this many days are deleted (0 keeps them forever)
+const TELEGRAM_JOB_RETENTION_DAYS = Math.max(
+  Number(process.env.TELEGRAM_JOB_RETENTION_DAYS ?? 30) || 0,
+  0,
+);
+// A "running" job untouched this long is treated as abandoned by a crashed instance and
+// claimed again; must stay well above the slowest media group upload
+const TELEGRAM_JOB_LEASE_SECONDS = Math.max(
+  Number(process.env.TELEGRAM_JOB_LEASE_SECONDS || 600) || 600,
+  60,
+);
+// CSV listing import: pause between channel posts, max rows and archive size per import
+const LISTING_IMPORT_DELAY_SECONDS = Math.max(
+  Number(process.env.LISTING_IMPORT_DELAY_SECONDS ?? 3) || 0,
+  0,
+);
+const LISTING_IMPORT_MAX_ROWS = Math.max(Number(process.env.LISTING_IMPORT_MAX_ROWS || 200) || 200, 1);
+const LISTING_IMPORT_MAX_ARCHIVE_MB = Math.max(
+  Number(process.env.LISTING_IMPORT_MAX_ARCHIVE_MB || 100) || 100,
+  1,
+);
+// A queued or running import its instance stopped refreshing this long ago died with it
+const LISTING_IMPORT_LEASE_SECONDS = Math.max(
+  Number(process.env.LISTING_IMPORT_LEASE_SECONDS || 600) || 600,
+  60,
+);
+// IANA zone whose calendar days the reports use for ?from=&to= and day/week/month buckets
+const ANALYTICS_TIMEZONE = process.env.ANALYTICS_TIMEZONE || "Asia/Tashkent";
 const BOOTSTRAP_ADMINS =
   process.env.BOOTSTRAP_ADMINS || process.env.ADMIN_IDS || "";
 
@@ -72,9 +157,11 @@ const storage = multer.diskStorage({
   },
 });
 
+const MAX_LISTING_IMAGES = 6;
+
 const upload = multer({
   storage,
-  limits: { fileSize: 10 * 1024 * 1024, files: 6 },
+  limits: { fileSize: 10 * 1024 * 1024, files: MAX_LISTING_IMAGES },
   fileFilter: (_req, file, cb) => {
     if (file.fieldname === "images") {
       if (file.mimetype.startsWith("image/")) {
@@ -89,7 +176,16 @@ const upload = multer({
 });
 
 const uploadFields = upload.fields([
-  { name: "images", maxCount: 6 },
+  { name: "images", maxCount: MAX_LISTING_IMAGES },
+]);
+
+// CSV + ZIP for the bulk import are kept in memory; rows are processed by a background job
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: LISTING_IMPORT_MAX_ARCHIVE_MB * 1024 * 1024, files: 2 },
+}).fields([
+  { name: "csv", maxCount: 1 },
+  { name: "archive", maxCount: 1 },
 ]);
 
 const schemaPath = path.join(__dirname, "db", "schema.sql");
@@ -110,62 +206,156 @@ const seedAdmins = async () => {
   );
 };
 
-const buildPublicUrl = (filename) => `/uploads/${filename}`;
+const imageStorage =
+  STORAGE_DRIVER === "s3"
+    ? createS3Storage({
+        bucket: S3_BUCKET,
+        region: S3_REGION,
+        endpoint: S3_ENDPOINT,
+        accessKeyId: S3_ACCESS_KEY_ID,
+        secretAccessKey: S3_SECRET_ACCESS_KEY,
+        forcePathStyle: S3_FORCE_PATH_STYLE,
+        prefix: S3_PREFIX,
+        publicUrl: S3_PUBLIC_URL,
+      })
+    : createLocalStorage({ uploadDir: UPLOAD_DIR });
+
+const buildPublicUrl = (filename) => imageStorage.urlFor(filename);
+
+// Stored file name for an image URL of any driver (or a bare filename), or "" if unsafe
+const resolveUploadFilename = (image) => {
+  if (!image) return "";
+  const withoutQuery = String(image).split(/[?#]/)[0];
+  const filename = withoutQuery.slice(withoutQuery.lastIndexOf("/") + 1);
+  if (!/^[\w.-]+$/.test(filename) || filename.includes("..")) return "";
+  return filename;
+};
+
+// Every upload is re-encoded to JPEG in these sizes (longest side, px). The stored image
+// URL points at "<base>-original.jpg"; the other sizes are found by swapping the suffix.
+const imageVariantSizes = {
+  original: 2560,
+  medium: 1080,
+  thumb: 320,
+};
 
-const verifyTelegramWebAppData = (initData, botToken) => {
-  try {
-    if (!initData) {
-      console.log("verifyTelegramWebAppData: no initData");
-      return { valid: false };
-    }
+const allowedImageFormats = ["jpeg", "png", "webp", "gif", "avif", "heif", "tiff"];
 
-    if (!botToken) {
-      console.log("verifyTelegramWebAppData: no botToken");
-      return { valid: false };
-    }
+const processedImagePattern = /^(.*)-original\.jpg$/;
 
-    const urlParams = new URLSearchParams(initData);
-    const hash = urlParams.get("hash");
-    if (!hash) {
-      console.log("verifyTelegramWebAppData: no hash in initData");
-      return { valid: false };
-    }
+// All files on disk that belong to one stored image (legacy uploads have just one)
+const getImageVariantFilenames = (filename) => {
+  const match = String(filename).match(processedImagePattern);
+  if (!match) return [filename];
+  return Object.keys(imageVariantSizes).map((variant) => `${match[1]}-${variant}.jpg`);
+};
 
-    urlParams.delete("hash");
-    const dataCheckString = Array.from(urlParams.entries())
-      .sort(([a], [b]) => a.localeCompare(b))
-      .map(([key, value]) => `${key}=${value}`)
-      .join("\n");
+const buildImageSet = (url) => {
+  const match = String(url).match(processedImagePattern);
+  if (!match) {
+    return { original: url, medium: url, thumbnail: url };
+  }
+  return {
+    original: url,
+    medium: `${match[1]}-medium.jpg`,
+    thumbnail: `${match[1]}-thumb.jpg`,
+  };
+};
+
+// Removes the staged copies in UPLOAD_DIR only
+const unlinkUploadVariants = (filename) => {
+  getImageVariantFilenames(filename).forEach((name) => {
+    fs.unlink(path.join(UPLOAD_DIR, name), () => {});
+  });
+};
+
+const removeStoredVariants = (filename) => {
+  getImageVariantFilenames(filename).forEach((name) => {
+    imageStorage.remove(name).catch((error) => {
+      console.error("Stored image delete failed:", name, error);
+    });
+  });
+};
 
-    const secretKey = crypto.createHmac("sha256", "WebAppData").update(botToken).digest();
-    const calculatedHash = crypto
-      .createHmac("sha256", secretKey)
-      .update(dataCheckString)
-      .digest("hex");
+const deleteUploadedImages = (images) => {
+  images.forEach((image) => {
+    const filename = resolveUploadFilename(image);
+    if (!filename) return;
+    removeStoredVariants(filename);
+  });
+};
 
-    if (calculatedHash !== hash) {
-      console.log("verifyTelegramWebAppData: hash mismatch");
-      return { valid: false };
+// Saves every size of freshly processed uploads into the configured storage
+const storeUploadedImages = async (files) => {
+  for (const file of files) {
+    for (const name of getImageVariantFilenames(file.filename)) {
+      await imageStorage.save(name, path.join(UPLOAD_DIR, name));
     }
+  }
+};
 
-    const userJson = urlParams.get("user");
-    if (userJson) {
-      try {
-        const user = JSON.parse(userJson);
-        const userId = Number(user.id);
-        console.log("verifyTelegramWebAppData: valid, userId:", userId);
-        return { valid: true, userId };
-      } catch (parseError) {
-        console.error("verifyTelegramWebAppData: user parse error:", parseError);
-        return { valid: true };
-      }
+// With a remote driver the files in UPLOAD_DIR are only a staging copy
+const releaseLocalUploads = (files) => {
+  if (imageStorage.name === "local") return;
+  files.forEach((file) => unlinkUploadVariants(file.filename));
+};
+
+// Checks the real file content, then auto-rotates, strips EXIF (incl. GPS) and writes
+// every size. The multer file object is updated to point at the processed original.
+const processUploadedImage = async (file) => {
+  const base = path.basename(file.filename, path.extname(file.filename));
+  const rawPath = file.path;
+
+  let metadata;
+  try {
+    metadata = await sharp(rawPath).metadata();
+  } catch (error) {
+    throw new Error(`${file.originalname || file.filename}: rasm fayli emas.`);
+  }
+  if (!allowedImageFormats.includes(metadata.format)) {
+    throw new Error(`${file.originalname || file.filename}: rasm formati qo'llab-quvvatlanmaydi.`);
+  }
+
+  const outputs = Object.entries(imageVariantSizes).map(([variant, size]) => ({
+    filename: `${base}-${variant}.jpg`,
+    size,
+  }));
+
+  try {
+    // sharp drops all metadata on output unless withMetadata() is called
+    const pipeline = sharp(rawPath, { failOn: "error" }).rotate().flatten({ background: "#ffffff" });
+    for (const output of outputs) {
+      await pipeline
+        .clone()
+        .resize({
+          width: output.size,
+          height: output.size,
+          fit: "inside",
+          withoutEnlargement: true,
+        })
+        .jpeg({ quality: 82, mozjpeg: true })
+        .toFile(path.join(UPLOAD_DIR, output.filename));
     }
+  } catch (error) {
+    outputs.forEach((output) => fs.unlink(path.join(UPLOAD_DIR, output.filename), () => {}));
+    throw new Error(`${file.originalname || file.filename}: rasmni qayta ishlab bo'lmadi.`);
+  }
 
-    console.log("verifyTelegramWebAppData: valid but no user data");
-    return { valid: true };
+  fs.unlink(rawPath, () => {});
+  file.filename = `${base}-original.jpg`;
+  file.path = path.join(UPLOAD_DIR, file.filename);
+  file.mimetype = "image/jpeg";
+};
+
+const processUploadedImages = async (files) => {
+  try {
+    for (const file of files) {
+      await processUploadedImage(file);
+    }
+    return { ok: true };
   } catch (error) {
-    console.error("verifyTelegramWebAppData: error:", error);
-    return { valid: false };
+    console.error("Image processing failed:", error);
+    return { ok: false, error: error.message };
   }
 };
 
@@ -176,33 +366,49 @@ const getOrdersChatId = () => {
   return TELEGRAM_CHANNEL_ID;
 };
 
-const sendTelegramMessage = async (chatId, text, replyMarkup) => {
-  if (!TELEGRAM_BOT_TOKEN || !chatId) {
-    throw new Error("Telegram chat konfiguratsiyasi yo'q.");
+// Keeps Telegram's error_code and retry_after (429 flood control) for the job queue
+const createTelegramError = (result, fallbackMessage) => {
+  const error = new Error(result?.description || fallbackMessage);
+  error.errorCode = result?.error_code;
+  error.retryAfter = result?.parameters?.retry_after;
+  return error;
+};
+
+const callTelegramApi = async (method, payload) => {
+  if (!TELEGRAM_BOT_TOKEN) {
+    throw new Error("Telegram konfiguratsiyasi yo'q.");
   }
 
   const response = await fetch(
-    `https://api.telegram.org/bot${TELEGRAM_BOT_TOKEN}/sendMessage`,
+    `https://api.telegram.org/bot${TELEGRAM_BOT_TOKEN}/${method}`,
     {
       method: "POST",
       headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({
-        chat_id: chatId,
-        text,
-        ...(replyMarkup ? { reply_markup: replyMarkup } : {}),
-      }),
+      body: JSON.stringify(payload || {}),
     },
   );
 
   const result = await response.json();
   if (!result.ok) {
-    console.error("Telegram message error:", result);
-    throw new Error(result.description || "Telegram message error");
+    console.error(`Telegram ${method} error:`, result);
+    throw createTelegramError(result, `Telegram ${method} error`);
   }
 
   return result.result;
 };
 
+const sendTelegramMessage = async (chatId, text, replyMarkup) => {
+  if (!TELEGRAM_BOT_TOKEN || !chatId) {
+    throw new Error("Telegram chat konfiguratsiyasi yo'q.");
+  }
+
+  return callTelegramApi("sendMessage", {
+    chat_id: chatId,
+    text,
+    ...(replyMarkup ? { reply_markup: replyMarkup } : {}),
+  });
+};
+
 const fetchAdminIds = async () => {
   const result = await pool.query("SELECT telegram_user_id FROM admins");
   return result.rows
@@ -210,19 +416,52 @@ const fetchAdminIds = async () => {
     .filter((value) => Number.isFinite(value) && value > 0);
 };
 
-const sendBookingNotificationToAdmins = async (text, orderCode) => {
-  const inlineKeyboard = {
-    inline_keyboard: [
-      [
-        { text: "Tasdiqlash", callback_data: `booking:${orderCode}:reserved` },
-        { text: "Bekor qilish", callback_data: `booking:${orderCode}:canceled` },
+// Inline buttons shown under a booking message in the orders chat for its current status
+const buildBookingKeyboard = (orderCode, status) => {
+  if (status === "pending") {
+    return {
+      inline_keyboard: [
+        [
+          { text: "Tasdiqlash", callback_data: `booking:${orderCode}:reserved` },
+          { text: "Bekor qilish", callback_data: `booking:${orderCode}:canceled` },
+        ],
       ],
-    ],
-  };
+    };
+  }
+
+  if (status === "reserved") {
+    return {
+      inline_keyboard: [
+        [
+          { text: "Sotildi", callback_data: `booking:${orderCode}:sold` },
+          { text: "Bekor qilish", callback_data: `booking:${orderCode}:canceled` },
+        ],
+      ],
+    };
+  }
+
+  return { inline_keyboard: [] };
+};
+
+const sendBookingNotificationToAdmins = async (text, orderCode) => {
+  const ordersChatId = getOrdersChatId();
+  if (!ordersChatId || !TELEGRAM_BOT_TOKEN) return;
+  await enqueueTelegramJob("send_message", {
+    chatId: ordersChatId,
+    text,
+    replyMarkup: buildBookingKeyboard(orderCode, "pending"),
+  });
+};
 
+// Plain notice to the orders chat, delivered by the Telegram job queue; never throws
+const notifyOrdersChat = async (text) => {
   const ordersChatId = getOrdersChatId();
-  if (!ordersChatId) return;
-  await sendTelegramMessage(ordersChatId, text, inlineKeyboard);
+  if (!ordersChatId || !TELEGRAM_BOT_TOKEN) return;
+  try {
+    await enqueueTelegramJob("send_message", { chatId: ordersChatId, text });
+  } catch (error) {
+    console.error("Orders chat notify failed:", error);
+  }
 };
 
 const generateOrderCode = () => {
@@ -230,39 +469,73 @@ const generateOrderCode = () => {
   return `BR${random}`;
 };
 
-const isAdminUser = async (userId) => {
+// Role checks are per permission, so adding a role only means extending this matrix
+const adminRoles = ["owner", "manager", "seller"];
+const rolePermissions = {
+  owner: [
+    "listings.create",
+    "listings.edit",
+    "listings.delete",
+    "bookings.manage",
+    "payments.manage",
+    "financing.manage",
+    "reports.view",
+    "jobs.manage",
+    "admins.manage",
+  ],
+  manager: [
+    "listings.create",
+    "listings.edit",
+    "listings.delete",
+    "bookings.manage",
+    "payments.manage",
+    "financing.manage",
+    "reports.view",
+    "jobs.manage",
+  ],
+  seller: ["bookings.manage", "payments.manage"],
+};
+
+const getRolePermissions = (role) => rolePermissions[role] || [];
+
+const hasPermission = (role, permission) => getRolePermissions(role).includes(permission);
+
+// Admin role for a Telegram user, or null when they're not an admin. Bootstrap admins are owners.
+const getAdminRole = async (userId) => {
   if (!userId) {
-    console.log("isAdminUser: no userId provided");
-    return false;
+    console.log("getAdminRole: no userId provided");
+    return null;
   }
 
   const numericUserId = Number(userId);
   if (!Number.isFinite(numericUserId) || numericUserId <= 0) {
-    console.log("isAdminUser: invalid userId:", userId);
-    return false;
+    console.log("getAdminRole: invalid userId:", userId);
+    return null;
   }
 
   // Check bootstrap admins first
   if (bootstrapAdminIds.includes(numericUserId)) {
-    console.log("isAdminUser: found in bootstrap admins:", numericUserId);
-    return true;
+    console.log("getAdminRole: found in bootstrap admins:", numericUserId);
+    return "owner";
   }
 
   // Check database
   try {
     const result = await pool.query(
-      "SELECT 1 FROM admins WHERE telegram_user_id = $1 LIMIT 1",
+      "SELECT role FROM admins WHERE telegram_user_id = $1 LIMIT 1",
       [numericUserId],
     );
-    const isAdmin = result.rowCount > 0;
-    console.log("isAdminUser: DB check for", numericUserId, "result:", isAdmin);
-    return isAdmin;
+    const role = result.rows[0]?.role || null;
+    console.log("getAdminRole: DB check for", numericUserId, "result:", role);
+    return role;
   } catch (error) {
-    console.error("isAdminUser: DB error:", error);
-    return false;
+    console.error("getAdminRole: DB error:", error);
+    return null;
   }
 };
 
+const isAdminUser = async (userId) => (await getAdminRole(userId)) !== null;
+
 // Check admin by phone number
 const isAdminByPhone = async (phone) => {
   if (!phone) {
@@ -325,43 +598,186 @@ const getUserByTelegramId = async (userId) => {
   }
 };
 
-const requireAdminFromRequest = async (req) => {
-  const initData = req.body?.initData || req.query?.initData || "";
-  const directUserId = req.body?.userId || req.query?.userId || "";
-
-  // Try initData first
-  if (initData) {
-    const verification = verifyTelegramWebAppData(initData, TELEGRAM_BOT_TOKEN);
-    if (verification.valid) {
-      const admin = await isAdminUser(verification.userId);
-      if (admin) {
-        return { ok: true, userId: verification.userId };
-      }
-      return { ok: false, status: 403, error: "Ruxsat yo'q." };
+const mapUserRow = (row) => ({
+  telegramUserId: Number(row.telegram_user_id),
+  firstName: row.first_name,
+  lastName: row.last_name,
+  username: row.username,
+  phone: row.phone,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+});
+
+// Saves the profile from verified initData; a null phone keeps the stored one
+const upsertTelegramUser = async (db, user, phone = null) => {
+  const result = await db.query(
+    `INSERT INTO users (telegram_user_id, first_name, last_name, username, phone)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (telegram_user_id) DO UPDATE
+     SET first_name = EXCLUDED.first_name,
+         last_name = EXCLUDED.last_name,
+         username = EXCLUDED.username,
+         phone = COALESCE(EXCLUDED.phone, users.phone),
+         updated_at = NOW()
+     RETURNING *`,
+    [user.id, user.firstName, user.lastName, user.username, phone],
+  );
+  return result.rows[0];
+};
+
+// bookings.user_id references users, so session-only bookers get a bare row
+const ensureUserRow = async (db, telegramUserId) => {
+  await db.query(
+    `INSERT INTO users (telegram_user_id) VALUES ($1)
+     ON CONFLICT (telegram_user_id) DO NOTHING`,
+    [telegramUserId],
+  );
+};
+
+const adminSelectSql = `
+  SELECT a.*, u.first_name, u.last_name, u.username
+  FROM admins a
+  LEFT JOIN users u ON u.telegram_user_id = a.telegram_user_id
+`;
+
+const mapAdminRow = (row) => ({
+  id: Number(row.id),
+  telegramUserId: Number(row.telegram_user_id),
+  role: bootstrapAdminIds.includes(Number(row.telegram_user_id)) ? "owner" : row.role,
+  phone: row.phone,
+  firstName: row.first_name || null,
+  lastName: row.last_name || null,
+  username: row.username || null,
+  addedBy: row.added_by !== null ? Number(row.added_by) : null,
+  isBootstrap: bootstrapAdminIds.includes(Number(row.telegram_user_id)),
+  createdAt: row.created_at,
+});
+
+const formatAdminLabel = (admin) =>
+  formatTelegramUser({
+    id: admin.telegramUserId,
+    first_name: admin.firstName,
+    last_name: admin.lastName,
+    username: admin.username,
+  });
+
+// The server refuses to start without SESSION_SECRET unless DEV_BYPASS is on (see start());
+// dev runs and CLI commands fall back to a per-process key whose tokens die on restart
+const sessionSecret = SESSION_SECRET || crypto.randomBytes(32).toString("hex");
+if (!SESSION_SECRET && DEV_BYPASS) {
+  console.warn("SESSION_SECRET is not set: session tokens will be invalid after restart.");
+}
+
+const base64UrlJson = (value) => Buffer.from(JSON.stringify(value), "utf8").toString("base64url");
+
+const signSessionPart = (unsigned) =>
+  crypto.createHmac("sha256", sessionSecret).update(unsigned).digest("base64url");
+
+// Compact HS256 JWT: { sub: telegram user id, iat, exp }
+const signSessionToken = (userId) => {
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const expiresAt = issuedAt + SESSION_TTL_HOURS * 60 * 60;
+  const unsigned = `${base64UrlJson({ alg: "HS256", typ: "JWT" })}.${base64UrlJson({
+    sub: String(userId),
+    iat: issuedAt,
+    exp: expiresAt,
+  })}`;
+  return {
+    token: `${unsigned}.${signSessionPart(unsigned)}`,
+    expiresAt: new Date(expiresAt * 1000).toISOString(),
+  };
+};
+
+const verifySessionToken = (token) => {
+  const parts = String(token || "").split(".");
+  if (parts.length !== 3) return { valid: false };
+
+  const expected = Buffer.from(signSessionPart(`${parts[0]}.${parts[1]}`));
+  const actual = Buffer.from(parts[2]);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return { valid: false };
+  }
+
+  try {
+    const header = JSON.parse(Buffer.from(parts[0], "base64url").toString("utf8"));
+    const payload = JSON.parse(Buffer.from(parts[1], "base64url").toString("utf8"));
+    if (header.alg !== "HS256") return { valid: false };
+    if (!Number.isFinite(payload.exp) || payload.exp * 1000 <= Date.now()) {
+      return { valid: false, expired: true };
     }
+    const userId = Number(payload.sub);
+    if (!Number.isFinite(userId) || userId <= 0) return { valid: false };
+    return { valid: true, userId };
+  } catch (error) {
+    return { valid: false };
   }
+};
 
-  // Fallback: try userId directly (from Telegram SDK)
-  if (directUserId) {
-    const numericUserId = Number(directUserId);
-    if (Number.isFinite(numericUserId) && numericUserId > 0) {
-      const admin = await isAdminUser(numericUserId);
-      if (admin) {
-        console.log("requireAdminFromRequest: admin verified by userId:", numericUserId);
-        return { ok: true, userId: numericUserId };
-      }
-      return { ok: false, status: 403, error: "Ruxsat yo'q." };
+const getBearerToken = (req) => {
+  const header = req.get("Authorization") || "";
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : "";
+};
+
+// Telegram user id from a valid session token, or null (customers may be anonymous)
+const getSessionUserId = (req) => {
+  const token = getBearerToken(req);
+  if (!token) return null;
+  const session = verifySessionToken(token);
+  return session.valid ? session.userId : null;
+};
+
+const requireAdminFromRequest = async (req) => {
+  const token = getBearerToken(req);
+
+  if (token) {
+    const session = verifySessionToken(token);
+    if (!session.valid) {
+      return {
+        ok: false,
+        status: 401,
+        error: session.expired ? "Sessiya muddati tugagan." : "Auth kerak.",
+      };
+    }
+    // Admin rights are re-checked on every request so revoked admins lose access at once
+    const role = await getAdminRole(session.userId);
+    if (role) {
+      return { ok: true, userId: session.userId, role };
     }
+    return { ok: false, status: 403, error: "Ruxsat yo'q." };
   }
 
-  // Dev bypass
+  // Dev bypass: no token needed; X-Dev-User-Id may name the admin to act as. A header
+  // because requireAdmin runs before multer, when multipart bodies are not parsed yet
   if (DEV_BYPASS) {
-    return { ok: true, userId: null };
+    const directUserId = Number(req.get("X-Dev-User-Id") || 0);
+    const userId = Number.isFinite(directUserId) && directUserId > 0 ? directUserId : null;
+    return { ok: true, userId, role: "owner" };
   }
 
   return { ok: false, status: 401, error: "Auth kerak." };
 };
 
+// Gate for admin routes: any admin, or only roles holding `permission`.
+// Sets req.adminUserId and req.adminRole.
+const requireAdmin = (permission) => async (req, res, next) => {
+  try {
+    const adminCheck = await requireAdminFromRequest(req);
+    if (!adminCheck.ok) {
+      return res.status(adminCheck.status).json({ error: adminCheck.error });
+    }
+    if (permission && !hasPermission(adminCheck.role, permission)) {
+      console.log("Permission denied:", adminCheck.userId, adminCheck.role, permission);
+      return res.status(403).json({ error: "Bu amal uchun ruxsat yo'q." });
+    }
+    req.adminUserId = adminCheck.userId;
+    req.adminRole = adminCheck.role;
+    return next();
+  } catch (error) {
+    return next(error);
+  }
+};
+
 const formatPriceUsd = (value) => {
   const raw = String(value || "").trim();
   const numeric = raw.replace(/[^\d.]/g, "");
@@ -369,10 +785,17 @@ const formatPriceUsd = (value) => {
   return `$${numeric}`;
 };
 
-const formatListingMessage = (data, code, priceFormatted) => {
+const listingStatusBanners = {
+  sold: "❌ SOTILDI",
+  reserved: "⏳ BRON",
+};
+
+const formatListingMessage = (data, code, priceFormatted, status) => {
   const exchangeIcon = data.exchange ? "✅" : "❌";
+  const banner = listingStatusBanners[status];
 
   return [
+    ...(banner ? [banner, ``] : []),
     `🔖 Kod: #${code}`,
     ``,
     `📲 Nasiyaga: @sotvolnasiya_bot`,
@@ -422,7 +845,7 @@ const sendTelegramMediaGroup = (caption, files) => {
     form.append("media", JSON.stringify(media));
 
     files.forEach((file, index) => {
-      const fileStream = fs.createReadStream(file.path);
+      const fileStream = file.buffer || fs.createReadStream(file.path);
       const filename = file.originalname || `photo-${index + 1}.jpg`;
       form.append(`file${index}`, fileStream, { filename });
     });
@@ -449,10 +872,12 @@ const sendTelegramMediaGroup = (caption, files) => {
           const result = JSON.parse(data);
           if (!result.ok) {
             console.error("Telegram API error:", result);
-            return reject(new Error(result.description || "Telegram API error"));
+            return reject(createTelegramError(result, "Telegram API error"));
           }
-          console.log("Telegram send success, message_id:", result.result?.[0]?.message_id);
-          resolve(result.result?.[0]?.message_id);
+          // One message per photo; callers keep all ids to delete the album later
+          const messageIds = (result.result || []).map((message) => message.message_id);
+          console.log("Telegram send success, message_ids:", messageIds);
+          resolve(messageIds);
         } catch (parseError) {
           console.error("Telegram response parse error:", parseError, data);
           reject(parseError);
@@ -471,820 +896,3890 @@ const sendTelegramMediaGroup = (caption, files) => {
 
 
 
-const listingStatusCase = `
-  CASE
-    WHEN EXISTS (
-      SELECT 1 FROM bookings b
-      WHERE b.listing_code = listings.code AND b.status = 'sold'
-    ) THEN 'sold'
-    WHEN EXISTS (
-      SELECT 1 FROM bookings b
-      WHERE b.listing_code = listings.code AND b.status = 'reserved'
-    ) THEN 'reserved'
-    ELSE 'available'
-  END
-`;
+const formatListingCaptionFromRow = (row) =>
+  formatListingMessage(
+    {
+      model: row.model,
+      name: row.name,
+      condition: row.condition,
+      storage: row.storage,
+      color: row.color,
+      box: row.box,
+      price: row.price_formatted,
+      battery: row.battery,
+      exchange: row.exchange,
+      warranty: row.warranty,
+      rating: row.rating,
+    },
+    row.code,
+    row.price_formatted,
+    row.listing_status,
+  );
 
-const listingStatusSql = `${listingStatusCase} AS listing_status`;
+// Message ids of the listing's channel album. Rows posted before telegram_message_ids
+// existed only store the first id; those albums came from one sendMediaGroup and were
+// never edited, so the rest follow it consecutively, one per image.
+const listingChannelMessageIds = (row) => {
+  const stored = (row.telegram_message_ids || []).map(Number).filter(Number.isFinite);
+  if (stored.length > 0) return stored;
+  if (!row.telegram_message_id) return [];
+  const count = Math.max(normalizeImages(row.images).length, 1);
+  return Array.from({ length: count }, (_, index) => Number(row.telegram_message_id) + index);
+};
 
-const mapListingRow = (row) => ({
-  code: row.code,
-  mode: row.mode,
-  model: row.model,
-  name: row.name,
-  condition: row.condition,
-  storage: row.storage,
-  color: row.color,
-  box: row.box,
-  price: Number(row.price),
-  priceFormatted: row.price_formatted,
-  battery: row.battery,
-  exchange: row.exchange,
-  warranty: row.warranty,
-  rating: row.rating,
-  status: row.listing_status || "available",
-  images: normalizeImages(row.images),
-  telegramMessageId: row.telegram_message_id,
-  createdAt: row.created_at,
-});
+const deleteTelegramPost = async (row) => {
+  const messageIds = listingChannelMessageIds(row);
+  if (messageIds.length === 0) return;
+  await callTelegramApi("deleteMessages", {
+    chat_id: TELEGRAM_CHANNEL_ID,
+    message_ids: messageIds,
+  });
+};
 
-const normalizeImages = (value) => {
-  if (Array.isArray(value)) return value;
-  if (!value) return [];
-  if (typeof value === "string") {
-    const trimmed = value.trim();
-    if (!trimmed) return [];
-    if (trimmed.startsWith("[")) {
-      try {
-        const parsed = JSON.parse(trimmed);
-        if (Array.isArray(parsed)) return parsed;
-      } catch (error) {
-        return [];
-      }
+// Re-renders the channel caption from the current DB state (price, status banner, ...)
+const syncListingChannelPost = async (code) => {
+  if (!TELEGRAM_BOT_TOKEN || !TELEGRAM_CHANNEL_ID) {
+    return { synced: false, error: "Telegram konfiguratsiyasi yo'q." };
+  }
+
+  const result = await pool.query(
+    `SELECT *, ${listingStatusSql} FROM listings WHERE code = $1`,
+    [code],
+  );
+  const row = result.rows[0];
+  if (!row?.telegram_message_id) {
+    return { synced: false, error: "Kanal posti yo'q." };
+  }
+
+  try {
+    await callTelegramApi("editMessageCaption", {
+      chat_id: TELEGRAM_CHANNEL_ID,
+      message_id: Number(row.telegram_message_id),
+      caption: formatListingCaptionFromRow(row),
+    });
+    return { synced: true, action: "edited" };
+  } catch (error) {
+    if (String(error?.message || "").includes("message is not modified")) {
+      return { synced: true, action: "unchanged" };
     }
-    const withoutBraces = trimmed.replace(/^\{/, "").replace(/\}$/, "");
-    if (!withoutBraces) return [];
-    return withoutBraces
-      .split(",")
-      .map((item) => item.trim().replace(/^"|"$/g, ""))
-      .filter(Boolean);
+    console.error("Channel caption sync failed:", code, error);
+    return {
+      synced: false,
+      error: error?.message || "Telegram xatosi.",
+      retryable: isRetryableTelegramError(error),
+      retryAfter: error?.retryAfter,
+    };
   }
-  return [];
 };
 
-const mapBookingRow = (row) => ({
-  orderCode: row.order_code,
-  listingCode: row.listing_code,
-  fullName: row.full_name,
-  phone: row.phone,
-  downPayment: Number(row.down_payment),
-  months: row.months,
-  monthlyPayment: Number(row.monthly_payment),
-  totalPayment: Number(row.total_payment),
-  status: row.status,
-  createdAt: row.created_at,
-  updatedAt: row.updated_at,
-});
+// Media groups can't gain or lose photos in place, so image changes re-post the listing:
+// send a fresh media group from the stored files, then drop the previous post. If that
+// delete fails the old ids stay stored after the new ones, so the next re-post or the
+// listing delete removes the old album too.
+const republishListingChannelPost = async (code, { deletePrevious = true } = {}) => {
+  if (!TELEGRAM_BOT_TOKEN || !TELEGRAM_CHANNEL_ID) {
+    return { synced: false, error: "Telegram konfiguratsiyasi yo'q." };
+  }
 
-const cleanupFiles = (files) => {
-  if (!files) return;
-  files.forEach((file) => {
-    fs.unlink(file.path, () => {});
-  });
-};
+  const result = await pool.query(
+    `SELECT *, ${listingStatusSql} FROM listings WHERE code = $1`,
+    [code],
+  );
+  const row = result.rows[0];
+  if (!row) {
+    return { synced: false, error: "Topilmadi." };
+  }
 
-app.get("/api/health", (_req, res) => {
-  res.json({ ok: true });
-});
+  const images = normalizeImages(row.images);
+  const files = [];
+  for (const image of images) {
+    const filename = resolveUploadFilename(image);
+    if (!filename) continue;
+    try {
+      files.push({ buffer: await imageStorage.read(filename), originalname: filename });
+    } catch (error) {
+      console.error("Stored image read failed:", filename, error?.message || error);
+    }
+  }
+  if (files.length === 0) {
+    return { synced: false, error: "Rasm fayllari topilmadi." };
+  }
 
-app.post("/api/auth/verify", async (req, res) => {
+  let messageIds = [];
+  try {
+    messageIds = await sendTelegramMediaGroup(formatListingCaptionFromRow(row), files);
+  } catch (error) {
+    console.error("Channel repost failed:", code, error);
+    return {
+      synced: false,
+      error: error?.message || "Telegram xatosi.",
+      retryable: isRetryableTelegramError(error),
+      retryAfter: error?.retryAfter,
+    };
+  }
+
+  let previousDeleted = false;
+  let storedMessageIds = messageIds;
+  if (deletePrevious && row.telegram_message_id) {
+    try {
+      await deleteTelegramPost(row);
+      previousDeleted = true;
+    } catch (error) {
+      console.error("Previous channel post delete failed:", code, error);
+      storedMessageIds = [...messageIds, ...listingChannelMessageIds(row)];
+    }
+  }
+
+  const telegramMessageId = messageIds[0] ?? null;
+  await pool.query(
+    `UPDATE listings
+     SET telegram_message_id = $1, telegram_message_ids = $2, publish_status = 'published'
+     WHERE code = $3`,
+    [telegramMessageId, storedMessageIds, code],
+  );
+
+  return { synced: true, action: "reposted", telegramMessageId, previousDeleted };
+};
+
+// Fire-and-forget variant for booking flows where the channel post is secondary
+const syncListingChannelPostInBackground = (code) => {
+  if (!TELEGRAM_BOT_TOKEN || !TELEGRAM_CHANNEL_ID) return;
+  enqueueTelegramJob("sync_listing_caption", { code }, { listingCode: code }).catch((error) => {
+    console.error("Channel caption sync error:", code, error);
+  });
+};
+
+// Flood control (429), Telegram 5xx and network errors are worth retrying; other API errors
+// (bad request, bot not in channel) fail the same way every time
+const isRetryableTelegramError = (error) =>
+  !error?.errorCode || error.errorCode === 429 || error.errorCode >= 500;
+
+const telegramJobError = (result) => {
+  const error = new Error(result.error || "Telegram xatosi.");
+  error.retryable = result.retryable === true;
+  error.retryAfter = result.retryAfter;
+  return error;
+};
+
+const telegramJobHandlers = {
+  send_message: async ({ chatId, text, replyMarkup }) => {
+    try {
+      await sendTelegramMessage(chatId, text, replyMarkup);
+    } catch (error) {
+      error.retryable = isRetryableTelegramError(error);
+      throw error;
+    }
+  },
+  // Posts (or re-posts) the listing's media group and removes the previous post
+  publish_listing: async ({ code, deletePrevious = true }) => {
+    const result = await republishListingChannelPost(code, { deletePrevious });
+    if (!result.synced) throw telegramJobError(result);
+  },
+  sync_listing_caption: async ({ code }) => {
+    const result = await syncListingChannelPost(code);
+    if (!result.synced && result.error !== "Kanal posti yo'q.") throw telegramJobError(result);
+  },
+  // The listing row is gone by now, so the album's ids travel in the payload
+  delete_channel_post: async ({ messageIds }) => {
+    try {
+      await callTelegramApi("deleteMessages", {
+        chat_id: TELEGRAM_CHANNEL_ID,
+        message_ids: messageIds,
+      });
+    } catch (error) {
+      error.retryable = isRetryableTelegramError(error);
+      throw error;
+    }
+  },
+};
+
+const telegramJobKinds = Object.keys(telegramJobHandlers);
+
+// Admin edits try the channel right away; a transient failure is handed to the queue
+const retryChannelSyncLater = async (channelSync, kind, code, payload = {}) => {
+  if (channelSync.synced || !channelSync.retryable) return channelSync;
+  const jobId = await enqueueTelegramJob(kind, { ...payload, code }, { listingCode: code });
+  return { ...channelSync, queued: true, jobId };
+};
+
+const mapTelegramJobRow = (row) => ({
+  id: Number(row.id),
+  kind: row.kind,
+  payload: row.payload,
+  listingCode: row.listing_code,
+  status: row.status,
+  attempts: row.attempts,
+  maxAttempts: row.max_attempts,
+  runAt: row.run_at,
+  lastError: row.last_error,
+  createdAt: row.created_at,
+  finishedAt: row.finished_at,
+});
+
+let wakeTelegramJobWorker = () => {};
+
+// Queues an outbound Telegram call. With a transaction client as `db` the job only exists
+// after commit, so the caller wakes the worker itself (createListing, listing delete).
+const enqueueTelegramJob = async (kind, payload, { listingCode = null, db = pool } = {}) => {
+  const result = await db.query(
+    `INSERT INTO telegram_jobs (kind, payload, listing_code, max_attempts)
+     VALUES ($1, $2, $3, $4)
+     RETURNING id`,
+    [kind, JSON.stringify(payload), listingCode, TELEGRAM_JOB_MAX_ATTEMPTS],
+  );
+  if (kind === "publish_listing") {
+    await db.query("UPDATE listings SET publish_status = 'queued' WHERE code = $1", [listingCode]);
+  }
+  if (db === pool) wakeTelegramJobWorker();
+  return Number(result.rows[0].id);
+};
+
+// Public t.me link of a channel post; private channels (numeric ids) have none
+const buildChannelLink = (telegramMessageId) =>
+  TELEGRAM_CHANNEL_ID && TELEGRAM_CHANNEL_ID.startsWith("@") && telegramMessageId
+    ? `https://t.me/${TELEGRAM_CHANNEL_ID.slice(1)}/${telegramMessageId}`
+    : null;
+
+// A publish job that gave up leaves the listing with publish_status = 'failed'; the orders
+// chat is told so someone can fix the channel and retry the job
+const notifyPublishFailed = async (job, message) => {
+  if (job.kind !== "publish_listing" || !job.listing_code) return;
+  await notifyOrdersChat(
+    `Telefon #${job.listing_code} kanalga yuborilmadi: ${message}\n` +
+      `Vazifa #${job.id} ni POST /api/telegram-jobs/${job.id}/retry orqali qayta ishga tushiring.`,
+  );
+};
+
+const setListingPublishStatus = async (job, status) => {
+  if (job.kind !== "publish_listing" || !job.listing_code) return;
+  await pool.query("UPDATE listings SET publish_status = $1 WHERE code = $2", [
+    status,
+    job.listing_code,
+  ]);
+};
+
+// Claims and runs one due job; returns false when the queue is empty. Jobs another
+// instance is still running are left alone until their lease expires.
+const runNextTelegramJob = async () => {
+  const claimed = await pool.query(
+    `UPDATE telegram_jobs
+     SET status = 'running', attempts = attempts + 1, updated_at = NOW()
+     WHERE id = (
+       SELECT id FROM telegram_jobs
+       WHERE (status = 'pending' AND run_at <= NOW())
+          OR (status = 'running' AND updated_at < NOW() - $1::float8 * INTERVAL '1 second')
+       ORDER BY run_at ASC, id ASC
+       FOR UPDATE SKIP LOCKED
+       LIMIT 1
+     )
+     RETURNING *`,
+    [TELEGRAM_JOB_LEASE_SECONDS],
+  );
+  const job = claimed.rows[0];
+  if (!job) return false;
+
+  const handler = telegramJobHandlers[job.kind];
+  try {
+    if (!handler) throw new Error(`Noma'lum vazifa turi: ${job.kind}`);
+    await handler(job.payload);
+    await pool.query(
+      `UPDATE telegram_jobs
+       SET status = 'done', last_error = NULL, updated_at = NOW(), finished_at = NOW()
+       WHERE id = $1`,
+      [job.id],
+    );
+    await setListingPublishStatus(job, "published");
+  } catch (error) {
+    const message = error?.message || "Telegram xatosi.";
+    const canRetry = error?.retryable === true && job.attempts < job.max_attempts;
+    if (canRetry) {
+      const delaySeconds = error.retryAfter
+        ? Number(error.retryAfter) + 1
+        : Math.min(TELEGRAM_JOB_RETRY_BASE_SECONDS * 2 ** (job.attempts - 1), 3600);
+      console.log(`Telegram job #${job.id} (${job.kind}) retry in ${delaySeconds}s:`, message);
+      await pool.query(
+        `UPDATE telegram_jobs
+         SET status = 'pending', last_error = $1, updated_at = NOW(),
+             run_at = NOW() + $2::float8 * INTERVAL '1 second'
+         WHERE id = $3`,
+        [message, delaySeconds, job.id],
+      );
+    } else {
+      console.error(`Telegram job #${job.id} (${job.kind}) failed:`, message);
+      await pool.query(
+        `UPDATE telegram_jobs
+         SET status = 'failed', last_error = $1, updated_at = NOW(), finished_at = NOW()
+         WHERE id = $2`,
+        [message, job.id],
+      );
+      await setListingPublishStatus(job, "failed");
+      await notifyPublishFailed(job, message);
+    }
+  }
+  return true;
+};
+
+// Single worker per process: jobs run one after another, which also keeps the bot
+// under Telegram's per-chat rate limits
+const pruneTelegramJobs = async () => {
+  if (TELEGRAM_JOB_RETENTION_DAYS <= 0) return;
+  const result = await pool.query(
+    `DELETE FROM telegram_jobs
+     WHERE status IN ('done', 'failed')
+       AND finished_at < NOW() - $1::int * INTERVAL '1 day'`,
+    [TELEGRAM_JOB_RETENTION_DAYS],
+  );
+  if (result.rowCount > 0) {
+    console.log(`Telegram jobs pruned: ${result.rowCount}`);
+  }
+};
+
+const startTelegramJobWorker = async () => {
+  let running = false;
+  let lastPrunedAt = 0;
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      while (await runNextTelegramJob()) {
+        // keep draining due jobs
+      }
+      // Retention runs at most hourly, once the queue is idle
+      if (Date.now() - lastPrunedAt > 60 * 60 * 1000) {
+        lastPrunedAt = Date.now();
+        await pruneTelegramJobs();
+      }
+    } catch (error) {
+      console.error("Telegram job worker error:", error);
+    } finally {
+      running = false;
+    }
+  };
+
+  wakeTelegramJobWorker = () => {
+    setImmediate(run);
+  };
+  setInterval(run, TELEGRAM_JOB_POLL_SECONDS * 1000);
+  run();
+};
+
+const listingStatusCase = `
+  CASE
+    WHEN EXISTS (
+      SELECT 1 FROM bookings b
+      WHERE b.listing_code = listings.code AND b.status = 'sold'
+    ) THEN 'sold'
+    WHEN EXISTS (
+      SELECT 1 FROM bookings b
+      WHERE b.listing_code = listings.code AND b.status = 'reserved'
+    ) THEN 'reserved'
+    ELSE 'available'
+  END
+`;
+
+const listingStatusSql = `${listingStatusCase} AS listing_status`;
+
+// battery/storage are free text ("87", "87%", "256GB"), so filters work on their leading number
+const listingBatterySql = "COALESCE(substring(listings.battery from '[0-9]{1,3}')::int, 0)";
+const listingStorageSql = "lower(regexp_replace(listings.storage, '\\s', '', 'g'))";
+const listingHasBoxSql = "(listings.box !~* '(yo.?q|^\\s*(no|-)?\\s*$)')";
+// Must match the expression of listings_search_idx in schema.sql
+const listingSearchSql =
+  "to_tsvector('simple', listings.model || ' ' || listings.name || ' ' || listings.color || ' ' || listings.storage)";
+
+// type is the SQL type used to cast cursor values back for keyset comparisons
+const listingSortOptions = {
+  newest: { expression: "listings.created_at", direction: "DESC", type: "timestamptz" },
+  oldest: { expression: "listings.created_at", direction: "ASC", type: "timestamptz" },
+  price_asc: { expression: "listings.price", direction: "ASC", type: "numeric" },
+  price_desc: { expression: "listings.price", direction: "DESC", type: "numeric" },
+  battery_desc: { expression: listingBatterySql, direction: "DESC", type: "int" },
+  battery_asc: { expression: listingBatterySql, direction: "ASC", type: "int" },
+  rating_desc: { expression: "listings.rating", direction: "DESC", type: "int" },
+  rating_asc: { expression: "listings.rating", direction: "ASC", type: "int" },
+};
+
+// code is the tie-breaker so the order is stable between requests
+const buildListingOrderBy = (sort) =>
+  `ORDER BY ${sort.expression} ${sort.direction}, listings.code ${sort.direction}`;
+
+// Opaque keyset cursor: the sort key plus the last row's sort value (as text, to keep
+// full timestamp precision) and code
+const encodeListingCursor = (sortKey, row) =>
+  Buffer.from(
+    JSON.stringify({ s: sortKey, v: row.sort_value, c: row.code }),
+    "utf8",
+  ).toString("base64url");
+
+const PG_INT_MAX = 2147483647;
+
+// Postgres timestamptz text ("2026-01-31 08:15:00.123+05") or ISO 8601. Date.parse alone is
+// not enough: it rolls impossible days like Feb 30 over instead of rejecting them
+const isCursorTimestamp = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})[ T]\d{2}:\d{2}:\d{2}(\.\d{1,6})?(Z|[+-]\d{2}(:?\d{2})?)?$/.exec(value);
+  if (!match || Number.isNaN(Date.parse(value))) return false;
+  const [, year, month, day] = match.map(Number);
+  return month >= 1 && month <= 12 && day >= 1 && day <= new Date(Date.UTC(year, month, 0)).getUTCDate();
+};
+
+const isCursorInt = (value) =>
+  /^-?\d{1,10}$/.test(value) && Math.abs(Number(value)) <= PG_INT_MAX;
+
+const cursorValueValidators = {
+  timestamptz: isCursorTimestamp,
+  numeric: (value) => value.length <= 40 && /^-?\d+(\.\d+)?$/.test(value),
+  int: isCursorInt,
+};
+
+// Returns null for anything that was not produced by encodeListingCursor, so a tampered
+// cursor is rejected with 400 instead of failing the SQL cast
+const decodeListingCursor = (cursor) => {
+  try {
+    const parsed = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    if (!parsed || typeof parsed.s !== "string" || !Object.hasOwn(listingSortOptions, parsed.s)) {
+      return null;
+    }
+    if (!Number.isInteger(parsed.c) || parsed.c < 1 || parsed.c > PG_INT_MAX) return null;
+    if (typeof parsed.v !== "string") return null;
+    if (!cursorValueValidators[listingSortOptions[parsed.s].type](parsed.v)) return null;
+    return parsed;
+  } catch (error) {
+    return null;
+  }
+};
+
+const parseBooleanFilter = (value) => {
+  const normalized = String(value ?? "").toLowerCase();
+  if (normalized === "true" || normalized === "1") return true;
+  if (normalized === "false" || normalized === "0") return false;
+  return null;
+};
+
+// Turns GET /api/listings query params into SQL conditions; params are numbered from $1
+const buildListingFilters = (query) => {
+  const conditions = [];
+  const params = [];
+  const addParam = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  const statusFilter = String(query.status || "").toLowerCase();
+  const includeSold = String(query.includeSold || "").toLowerCase() === "true";
+  if (["sold", "reserved", "available"].includes(statusFilter)) {
+    conditions.push(`${listingStatusCase} = ${addParam(statusFilter)}`);
+  } else if (!includeSold) {
+    conditions.push(`${listingStatusCase} <> 'sold'`);
+  }
+
+  const searchTerms = String(query.q || "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean)
+    .slice(0, 10);
+  if (searchTerms.length > 0) {
+    const tsQuery = searchTerms.map((term) => `${term}:*`).join(" & ");
+    conditions.push(`${listingSearchSql} @@ to_tsquery('simple', ${addParam(tsQuery)})`);
+  }
+
+  const numberFilters = [
+    ["minPrice", "listings.price", ">="],
+    ["maxPrice", "listings.price", "<="],
+    ["minBattery", listingBatterySql, ">="],
+    ["maxBattery", listingBatterySql, "<="],
+    ["minRating", "listings.rating", ">="],
+  ];
+  for (const [key, expression, operator] of numberFilters) {
+    if (query[key] === undefined || query[key] === "") continue;
+    const value = Number(query[key]);
+    if (!Number.isFinite(value)) {
+      return { ok: false, error: `${key} noto'g'ri.` };
+    }
+    conditions.push(`${expression} ${operator} ${addParam(value)}`);
+  }
+
+  if (query.storage) {
+    const storages = String(query.storage)
+      .split(",")
+      .map((value) => value.replace(/\s/g, "").toLowerCase())
+      .filter(Boolean)
+      .map((value) => (/^\d+$/.test(value) ? `${value}gb` : value));
+    if (storages.length > 0) {
+      conditions.push(`${listingStorageSql} = ANY(${addParam(storages)}::text[])`);
+    }
+  }
+
+  if (query.condition) {
+    conditions.push(`lower(listings.condition) = lower(${addParam(String(query.condition).trim())})`);
+  }
+
+  const exchange = parseBooleanFilter(query.exchange);
+  if (exchange !== null) {
+    conditions.push(`listings.exchange = ${addParam(exchange)}`);
+  }
+
+  const hasBox = parseBooleanFilter(query.hasBox);
+  if (hasBox !== null) {
+    conditions.push(hasBox ? listingHasBoxSql : `NOT ${listingHasBoxSql}`);
+  }
+
+  const sortKey = String(query.sort || "newest").toLowerCase();
+  const sort = listingSortOptions[sortKey];
+  if (!sort) {
+    return { ok: false, error: "Saralash turi noto'g'ri." };
+  }
+
+  return { ok: true, conditions, params, sort, sortKey };
+};
+
+const mapListingRow = (row) => ({
+  code: row.code,
+  mode: row.mode,
+  model: row.model,
+  name: row.name,
+  condition: row.condition,
+  storage: row.storage,
+  color: row.color,
+  box: row.box,
+  price: Number(row.price),
+  priceFormatted: row.price_formatted,
+  battery: row.battery,
+  exchange: row.exchange,
+  warranty: row.warranty,
+  rating: row.rating,
+  status: row.listing_status || "available",
+  images: normalizeImages(row.images),
+  imageSets: normalizeImages(row.images).map(buildImageSet),
+  telegramMessageId: row.telegram_message_id,
+  channelLink: buildChannelLink(row.telegram_message_id),
+  publishStatus: row.publish_status,
+  createdAt: row.created_at,
+});
+
+const normalizeImages = (value) => {
+  if (Array.isArray(value)) return value;
+  if (!value) return [];
+  if (typeof value === "string") {
+    const trimmed = value.trim();
+    if (!trimmed) return [];
+    if (trimmed.startsWith("[")) {
+      try {
+        const parsed = JSON.parse(trimmed);
+        if (Array.isArray(parsed)) return parsed;
+      } catch (error) {
+        return [];
+      }
+    }
+    const withoutBraces = trimmed.replace(/^\{/, "").replace(/\}$/, "");
+    if (!withoutBraces) return [];
+    return withoutBraces
+      .split(",")
+      .map((item) => item.trim().replace(/^"|"$/g, ""))
+      .filter(Boolean);
+  }
+  return [];
+};
+
+const mapBookingRow = (row) => ({
+  orderCode: row.order_code,
+  listingCode: row.listing_code,
+  fullName: row.full_name,
+  phone: row.phone,
+  downPayment: Number(row.down_payment),
+  months: row.months,
+  monthlyPayment: Number(row.monthly_payment),
+  totalPayment: Number(row.total_payment),
+  financingPlanId: row.financing_plan_id ? Number(row.financing_plan_id) : null,
+  minDownPercent: row.min_down_percent !== null && row.min_down_percent !== undefined
+    ? Number(row.min_down_percent)
+    : null,
+  monthlyRatePercent: row.monthly_rate_percent !== null && row.monthly_rate_percent !== undefined
+    ? Number(row.monthly_rate_percent)
+    : null,
+  status: row.status,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+});
+
+// "Ali Valiyev" -> "A*** V***"
+const maskName = (value) =>
+  String(value || "")
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((part) => `${part[0]}***`)
+    .join(" ");
+
+// Keeps the first 4 and last 2 characters: "+998901234567" -> "+998*******67"
+const maskPhone = (value) => {
+  const phone = String(value || "");
+  if (phone.length <= 6) return "*".repeat(phone.length);
+  return `${phone.slice(0, 4)}${"*".repeat(phone.length - 6)}${phone.slice(-2)}`;
+};
+
+// Order codes are guessable, so anonymous lookups only see masked contact details
+const maskBookingPii = (booking) => ({
+  ...booking,
+  fullName: maskName(booking.fullName),
+  phone: maskPhone(booking.phone),
+  masked: true,
+});
+
+const bookingStatuses = ["pending", "reserved", "sold", "canceled", "expired"];
+
+// Allowed booking status changes; sold, canceled and expired are final
+const bookingStatusTransitions = {
+  pending: ["reserved", "sold", "canceled", "expired"],
+  reserved: ["pending", "sold", "canceled", "expired"],
+  sold: [],
+  canceled: [],
+  expired: [],
+};
+
+const canTransitionBookingStatus = (from, to) =>
+  (bookingStatusTransitions[from] || []).includes(to);
+
+const mapBookingStatusHistoryRow = (row) => ({
+  oldStatus: row.old_status,
+  newStatus: row.new_status,
+  telegramUserId: row.telegram_user_id ? Number(row.telegram_user_id) : null,
+  reason: row.reason,
+  createdAt: row.created_at,
+});
+
+const withTransaction = async (callback) => {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const result = await callback(client);
+    await client.query("COMMIT");
+    return result;
+  } catch (error) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+const insertBookingStatusHistory = async (db, bookingId, oldStatus, newStatus, telegramUserId, reason) => {
+  await db.query(
+    `INSERT INTO booking_status_history (
+      booking_id, old_status, new_status, telegram_user_id, reason
+    ) VALUES ($1, $2, $3, $4, $5)`,
+    [bookingId, oldStatus, newStatus, telegramUserId || null, reason || null],
+  );
+};
+
+const changeBookingStatus = async ({ orderCode, status, changedBy, reason }) =>
+  withTransaction(async (client) => {
+    const bookingResult = await client.query(
+      "SELECT * FROM bookings WHERE order_code = $1 FOR UPDATE",
+      [orderCode],
+    );
+    if (bookingResult.rowCount === 0) {
+      return { ok: false, status: 404, error: "Bron topilmadi." };
+    }
+
+    const booking = bookingResult.rows[0];
+    if (!canTransitionBookingStatus(booking.status, status)) {
+      return {
+        ok: false,
+        status: 409,
+        error: `Statusni ${booking.status} dan ${status} ga o'zgartirib bo'lmaydi.`,
+      };
+    }
+
+    if (status === "reserved" || status === "sold") {
+      await client.query("SELECT 1 FROM listings WHERE code = $1 FOR UPDATE", [
+        booking.listing_code,
+      ]);
+      const activeResult = await client.query(
+        `SELECT order_code FROM bookings
+         WHERE listing_code = $1 AND id <> $2 AND status IN ('reserved', 'sold')
+         LIMIT 1`,
+        [booking.listing_code, booking.id],
+      );
+      if (activeResult.rowCount > 0) {
+        return {
+          ok: false,
+          status: 409,
+          error: `Telefon boshqa bron bilan band: ${activeResult.rows[0].order_code}.`,
+        };
+      }
+    }
+
+    const updateResult = await client.query(
+      `UPDATE bookings
+       SET status = $1, updated_at = NOW()
+       WHERE id = $2
+       RETURNING *`,
+      [status, booking.id],
+    );
+    await insertBookingStatusHistory(client, booking.id, booking.status, status, changedBy, reason);
+
+    if (status === "sold") {
+      await generateBookingInstallments(client, updateResult.rows[0]);
+    }
+
+    return { ok: true, booking: updateResult.rows[0] };
+  });
+
+const roundMoney = (value) => Math.round(Number(value) * 100) / 100;
+
+// Equal monthly amounts; the last month absorbs rounding so the sum is exactly the total
+const buildPaymentSchedule = (totalPayment, monthlyPayment, months) => {
+  const schedule = [];
+  let balance = roundMoney(totalPayment);
+  for (let month = 1; month <= months; month += 1) {
+    const amount = month === months
+      ? roundMoney(totalPayment - monthlyPayment * (months - 1))
+      : monthlyPayment;
+    balance = roundMoney(balance - amount);
+    schedule.push({ month, amount, balance });
+  }
+  return schedule;
+};
+
+// One row per month starting a month after the sale
+const generateBookingInstallments = async (db, booking) => {
+  const months = Number(booking.months);
+  if (!Number.isFinite(months) || months <= 0) return;
+
+  const schedule = buildPaymentSchedule(
+    Number(booking.total_payment),
+    Number(booking.monthly_payment),
+    months,
+  );
+
+  await db.query(
+    `INSERT INTO booking_installments (booking_id, installment_number, due_date, amount)
+     SELECT $1, s.n, (CURRENT_DATE + make_interval(months => s.n))::date, s.amount
+     FROM unnest($2::int[], $3::numeric[]) AS s(n, amount)
+     ON CONFLICT (booking_id, installment_number) DO NOTHING`,
+    [booking.id, schedule.map((item) => item.month), schedule.map((item) => item.amount)],
+  );
+};
+
+const getInstallmentStatus = (row) => {
+  const amount = Number(row.amount);
+  const paid = Number(row.paid_amount);
+  if (paid >= amount) return "paid";
+  const dueDate = new Date(row.due_date);
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  if (dueDate < today) return "overdue";
+  return paid > 0 ? "partial" : "due";
+};
+
+const mapInstallmentRow = (row) => ({
+  number: row.installment_number,
+  dueDate: row.due_date,
+  amount: Number(row.amount),
+  paidAmount: Number(row.paid_amount),
+  paidAt: row.paid_at,
+  status: getInstallmentStatus(row),
+});
+
+const buildInstallmentSummary = (booking, rows) => {
+  const installments = rows.map(mapInstallmentRow);
+  const totalDue = roundMoney(installments.reduce((sum, item) => sum + item.amount, 0));
+  const paidAmount = roundMoney(installments.reduce((sum, item) => sum + item.paidAmount, 0));
+  const overdue = installments.filter((item) => item.status === "overdue");
+
+  return {
+    orderCode: booking.order_code,
+    status: booking.status,
+    totalPayment: Number(booking.total_payment),
+    paidAmount,
+    balance: roundMoney(totalDue - paidAmount),
+    overdueCount: overdue.length,
+    overdueAmount: roundMoney(
+      overdue.reduce((sum, item) => sum + item.amount - item.paidAmount, 0),
+    ),
+    nextDue: installments.find((item) => item.status !== "paid") || null,
+    installments,
+  };
+};
+
+const fetchBookingInstallments = async (db, bookingId) => {
+  const result = await db.query(
+    `SELECT * FROM booking_installments
+     WHERE booking_id = $1
+     ORDER BY installment_number ASC`,
+    [bookingId],
+  );
+  return result.rows;
+};
+
+// Spreads a payment over unpaid instalments, oldest first (or onto a single instalment)
+const recordInstallmentPayment = async ({ orderCode, amount, installmentNumber }) =>
+  withTransaction(async (client) => {
+    const bookingResult = await client.query(
+      "SELECT * FROM bookings WHERE order_code = $1",
+      [orderCode],
+    );
+    if (bookingResult.rowCount === 0) {
+      return { ok: false, status: 404, error: "Bron topilmadi." };
+    }
+
+    const booking = bookingResult.rows[0];
+    const installmentsResult = await client.query(
+      `SELECT * FROM booking_installments
+       WHERE booking_id = $1 AND ($2::int IS NULL OR installment_number = $2::int)
+       ORDER BY installment_number ASC
+       FOR UPDATE`,
+      [booking.id, installmentNumber || null],
+    );
+    if (installmentsResult.rowCount === 0) {
+      return { ok: false, status: 404, error: "To'lov jadvali topilmadi." };
+    }
+
+    const outstanding = roundMoney(
+      installmentsResult.rows.reduce(
+        (sum, row) => sum + Number(row.amount) - Number(row.paid_amount),
+        0,
+      ),
+    );
+    if (amount > outstanding) {
+      return {
+        ok: false,
+        status: 400,
+        error: `To'lov qoldiqdan ko'p. Qoldiq: $${outstanding}.`,
+      };
+    }
+
+    let remaining = amount;
+    for (const row of installmentsResult.rows) {
+      if (remaining <= 0) break;
+      const unpaid = roundMoney(Number(row.amount) - Number(row.paid_amount));
+      if (unpaid <= 0) continue;
+      const applied = Math.min(unpaid, remaining);
+      remaining = roundMoney(remaining - applied);
+      await client.query(
+        `UPDATE booking_installments
+         SET paid_amount = paid_amount + $1,
+             paid_at = CASE WHEN paid_amount + $1 >= amount THEN NOW() ELSE paid_at END
+         WHERE id = $2`,
+        [applied, row.id],
+      );
+    }
+
+    const rows = await fetchBookingInstallments(client, booking.id);
+    return { ok: true, summary: buildInstallmentSummary(booking, rows) };
+  });
+
+const formatTelegramUser = (user) => {
+  if (!user) return "noma'lum";
+  const fullName = [user.first_name, user.last_name].filter(Boolean).join(" ");
+  const label = user.username ? `@${user.username}` : fullName || "admin";
+  return `${label} (${user.id})`;
+};
+
+// Rewrites the "Status:" line of a booking notification and records who changed it
+const formatBookingStatusMessage = (text, status, changedBy) => {
+  const lines = String(text || "")
+    .split("\n")
+    .filter((line) => !line.startsWith("O'zgartirdi: "));
+  const statusIndex = lines.findIndex((line) => line.startsWith("Status: "));
+  if (statusIndex === -1) {
+    lines.push(`Status: ${status}`);
+  } else {
+    lines[statusIndex] = `Status: ${status}`;
+  }
+  lines.push(`O'zgartirdi: ${changedBy}`);
+  return lines.join("\n");
+};
+
+const answerCallbackQuery = async (callbackQueryId, text, showAlert = false) => {
+  try {
+    await callTelegramApi("answerCallbackQuery", {
+      callback_query_id: callbackQueryId,
+      ...(text ? { text } : {}),
+      ...(showAlert ? { show_alert: true } : {}),
+    });
+  } catch (error) {
+    console.error("answerCallbackQuery failed:", error);
+  }
+};
+
+const handleBookingCallback = async (callbackQuery) => {
+  const [, orderCode, status] = String(callbackQuery.data || "").split(":");
+  if (!orderCode || !bookingStatuses.includes(status)) {
+    await answerCallbackQuery(callbackQuery.id, "Noto'g'ri amal.", true);
+    return;
+  }
+
+  const fromUser = callbackQuery.from;
+  const role = await getAdminRole(fromUser?.id);
+  if (!hasPermission(role, "bookings.manage")) {
+    console.log("Booking callback rejected:", fromUser?.id, role);
+    await answerCallbackQuery(callbackQuery.id, "Ruxsat yo'q.", true);
+    return;
+  }
+
+  const change = await changeBookingStatus({
+    orderCode,
+    status,
+    changedBy: fromUser.id,
+    reason: "Telegram tugmasi orqali",
+  });
+  if (!change.ok) {
+    await answerCallbackQuery(callbackQuery.id, change.error, true);
+    return;
+  }
+
+  console.log("Booking callback:", orderCode, "->", status, "by", fromUser.id);
+  syncListingChannelPostInBackground(change.booking.listing_code);
+  await answerCallbackQuery(callbackQuery.id, `Status: ${status}`);
+
+  const message = callbackQuery.message;
+  if (!message?.chat?.id || !message.message_id) return;
+
+  try {
+    await callTelegramApi("editMessageText", {
+      chat_id: message.chat.id,
+      message_id: message.message_id,
+      text: formatBookingStatusMessage(message.text, status, formatTelegramUser(fromUser)),
+      reply_markup: buildBookingKeyboard(orderCode, status),
+    });
+  } catch (error) {
+    console.error("Booking message edit failed:", error);
+  }
+};
+
+const handleTelegramUpdate = async (update) => {
+  const callbackQuery = update?.callback_query;
+  if (!callbackQuery) return;
+
+  if (String(callbackQuery.data || "").startsWith("booking:")) {
+    await handleBookingCallback(callbackQuery);
+    return;
+  }
+
+  await answerCallbackQuery(callbackQuery.id);
+};
+
+// Moves pending/reserved bookings past their TTL to "expired", which frees the listing
+const expireStaleBookings = async () => {
+  if (BOOKING_PENDING_TTL_HOURS <= 0 && BOOKING_RESERVED_TTL_HOURS <= 0) return [];
+
+  const expired = await withTransaction(async (client) => {
+    const result = await client.query(
+      `WITH stale AS (
+         SELECT b.id, b.status
+         FROM bookings b
+         WHERE (
+           b.status = 'pending' AND $1::float8 > 0
+           AND b.updated_at < NOW() - $1::float8 * INTERVAL '1 hour'
+         ) OR (
+           b.status = 'reserved' AND $2::float8 > 0
+           AND b.updated_at < NOW() - $2::float8 * INTERVAL '1 hour'
+         )
+         FOR UPDATE SKIP LOCKED
+       )
+       UPDATE bookings
+       SET status = 'expired', updated_at = NOW()
+       FROM stale
+       WHERE bookings.id = stale.id
+       RETURNING bookings.*, stale.status AS old_status`,
+      [BOOKING_PENDING_TTL_HOURS, BOOKING_RESERVED_TTL_HOURS],
+    );
+
+    for (const row of result.rows) {
+      await insertBookingStatusHistory(client, row.id, row.old_status, "expired", null, "Muddati o'tdi");
+    }
+
+    return result.rows;
+  });
+
+  if (expired.length === 0) return expired;
+  console.log("Expired bookings:", expired.map((row) => row.order_code).join(", "));
+  new Set(expired.map((row) => row.listing_code)).forEach(syncListingChannelPostInBackground);
+
+  const lines = expired.map(
+    (row) => `${row.order_code} (telefon #${row.listing_code}, ${row.old_status})`,
+  );
+  await notifyOrdersChat(`Muddati o'tgan bronlar (${expired.length}):\n${lines.join("\n")}`);
+
+  return expired;
+};
+
+const startBookingExpiryScheduler = () => {
+  if (BOOKING_PENDING_TTL_HOURS <= 0 && BOOKING_RESERVED_TTL_HOURS <= 0) return;
+
+  let running = false;
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await expireStaleBookings();
+    } catch (error) {
+      console.error("Booking expiry error:", error);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  setInterval(run, BOOKING_EXPIRY_INTERVAL_MINUTES * 60 * 1000);
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Long-polling fallback for local dev where Telegram cannot reach the webhook
+const pollTelegramUpdates = async () => {
+  await callTelegramApi("deleteWebhook", {});
+  console.log("Telegram polling started");
+
+  let offset = 0;
+  for (;;) {
+    try {
+      const updates = await callTelegramApi("getUpdates", {
+        offset,
+        timeout: 30,
+        allowed_updates: ["callback_query"],
+      });
+      for (const update of updates) {
+        offset = update.update_id + 1;
+        try {
+          await handleTelegramUpdate(update);
+        } catch (error) {
+          console.error("Telegram update error:", error);
+        }
+      }
+    } catch (error) {
+      console.error("Telegram polling error:", error);
+      await sleep(5000);
+    }
+  }
+};
+
+const setupTelegramUpdates = async () => {
+  if (!TELEGRAM_BOT_TOKEN) return;
+
+  if (TELEGRAM_UPDATES_MODE === "polling") {
+    pollTelegramUpdates().catch((error) => {
+      console.error("Telegram polling stopped:", error);
+    });
+    return;
+  }
+
+  if (TELEGRAM_UPDATES_MODE === "webhook") {
+    try {
+      await callTelegramApi("setWebhook", {
+        url: `${PUBLIC_BASE_URL}/api/telegram/webhook`,
+        allowed_updates: ["callback_query"],
+        secret_token: TELEGRAM_WEBHOOK_SECRET,
+      });
+      console.log("Telegram webhook set:", `${PUBLIC_BASE_URL}/api/telegram/webhook`);
+    } catch (error) {
+      console.error("Telegram webhook setup failed:", error);
+    }
+  }
+};
+
+const mapFinancingPlanRow = (row) => ({
+  id: Number(row.id),
+  name: row.name,
+  minDownPercent: Number(row.min_down_percent),
+  monthlyRatePercent: Number(row.monthly_rate_percent),
+  minMonths: row.min_months,
+  maxMonths: row.max_months,
+  minPrice: row.min_price !== null ? Number(row.min_price) : null,
+  maxPrice: row.max_price !== null ? Number(row.max_price) : null,
+  isActive: row.is_active,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+});
+
+// Picks the requested plan, or the first active plan whose price band fits the listing
+const resolveFinancingPlan = async (db, price, planId) => {
+  if (planId !== undefined && planId !== null && planId !== "") {
+    const numericPlanId = Number(planId);
+    if (!Number.isInteger(numericPlanId) || numericPlanId <= 0) {
+      return { ok: false, status: 400, error: "Nasiya rejasi noto'g'ri." };
+    }
+    const result = await db.query(
+      "SELECT * FROM financing_plans WHERE id = $1 AND is_active = TRUE",
+      [numericPlanId],
+    );
+    if (result.rowCount === 0) {
+      return { ok: false, status: 404, error: "Nasiya rejasi topilmadi." };
+    }
+    const plan = result.rows[0];
+    if (
+      (plan.min_price !== null && price < Number(plan.min_price)) ||
+      (plan.max_price !== null && price > Number(plan.max_price))
+    ) {
+      return { ok: false, status: 400, error: "Bu reja ushbu narx uchun mos emas." };
+    }
+    return { ok: true, plan };
+  }
+
+  const result = await db.query(
+    `SELECT * FROM financing_plans
+     WHERE is_active = TRUE
+       AND (min_price IS NULL OR min_price <= $1)
+       AND (max_price IS NULL OR max_price >= $1)
+     ORDER BY id ASC
+     LIMIT 1`,
+    [price],
+  );
+  if (result.rowCount === 0) {
+    return { ok: false, status: 409, error: "Bu narx uchun nasiya rejasi yo'q." };
+  }
+  return { ok: true, plan: result.rows[0] };
+};
+
+// Single source of truth for booking figures; used by POST /api/bookings and the quote endpoint
+const calculateFinancing = (price, plan, { months, downPayment }) => {
+  const monthsValue = Number(months);
+  if (
+    !Number.isInteger(monthsValue) ||
+    monthsValue < plan.min_months ||
+    monthsValue > plan.max_months
+  ) {
+    return {
+      ok: false,
+      status: 400,
+      error: `Oylar ${plan.min_months}-${plan.max_months} oralig'ida bo'lishi kerak.`,
+    };
+  }
+
+  const minDownPayment = roundMoney((price * Number(plan.min_down_percent)) / 100);
+  const requestedDown = Number(downPayment);
+  const downPaymentValue = Number.isFinite(requestedDown) && requestedDown > 0
+    ? Math.max(requestedDown, minDownPayment)
+    : minDownPayment;
+
+  const remaining = Math.max(price - downPaymentValue, 0);
+  const monthlyRate = Number(plan.monthly_rate_percent) / 100;
+  const totalPayment = roundMoney(remaining * (1 + monthlyRate * monthsValue));
+  const monthlyPayment = roundMoney(totalPayment / monthsValue);
+
+  return {
+    ok: true,
+    months: monthsValue,
+    minDownPayment,
+    downPayment: downPaymentValue,
+    remaining: roundMoney(remaining),
+    totalPayment,
+    monthlyPayment,
+    schedule: buildPaymentSchedule(totalPayment, monthlyPayment, monthsValue),
+  };
+};
+
+const analyticsPeriods = ["day", "week", "month"];
+
+// Start of a calendar day in ANALYTICS_TIMEZONE: take UTC midnight of that day and shift it
+// by the zone's offset at that moment
+const startOfAnalyticsDay = (year, month, day) => {
+  const utcMidnight = Date.UTC(year, month - 1, day);
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone: ANALYTICS_TIMEZONE,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+      hour: "numeric",
+      minute: "numeric",
+      second: "numeric",
+    })
+      .formatToParts(new Date(utcMidnight))
+      .map((part) => [part.type, Number(part.value)]),
+  );
+  const zonedAsUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return new Date(utcMidnight - (zonedAsUtc - utcMidnight));
+};
+
+// Optional ?from=&to= (YYYY-MM-DD days in ANALYTICS_TIMEZONE, `to` exclusive) shared by the
+// analytics and export endpoints. Date parsing alone would accept 2025-1-5 and roll
+// 2025-02-31 over to March, so the day must survive a round trip.
+const parseAnalyticsRange = (query) => {
+  const parseDate = (value) => {
+    if (value === undefined || value === "") return null;
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value));
+    if (!match) return undefined;
+    const [, year, month, day] = match.map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+      return undefined;
+    }
+    return startOfAnalyticsDay(year, month, day);
+  };
+
+  const from = parseDate(query.from);
+  const to = parseDate(query.to);
+  if (from === undefined || to === undefined) {
+    return { ok: false, error: "Sana noto'g'ri." };
+  }
+  if (from && to && from >= to) {
+    return { ok: false, error: "Sana oralig'i noto'g'ri." };
+  }
+  return { ok: true, from, to };
+};
+
+// Sold bookings with their sale time: the "sold" history entry, or updated_at for
+// bookings sold before history was recorded. $1/$2 are the optional range bounds.
+const soldBookingsSql = `
+  WITH sold AS (
+    SELECT bookings.id,
+           bookings.total_payment,
+           listings.code,
+           listings.model,
+           ${listingStorageSql} AS storage,
+           listings.price,
+           listings.created_at AS listed_at,
+           COALESCE(
+             (SELECT MAX(h.created_at) FROM booking_status_history h
+              WHERE h.booking_id = bookings.id AND h.new_status = 'sold'),
+             bookings.updated_at
+           ) AS sold_at
+    FROM bookings
+    JOIN listings ON listings.code = bookings.listing_code
+    WHERE bookings.status = 'sold'
+  )
+  SELECT * FROM sold
+  WHERE ($1::timestamptz IS NULL OR sold_at >= $1)
+    AND ($2::timestamptz IS NULL OR sold_at < $2)
+`;
+
+const exportFormats = ["csv", "xlsx"];
+const listingStatuses = ["available", "reserved", "sold"];
+// Rows fetched per query while streaming an export
+const EXPORT_BATCH_SIZE = 500;
+
+const formatExportDate = (value) => (value ? new Date(value).toISOString() : "");
+
+const listingExportColumns = [
+  { header: "Kod", value: (item) => item.code },
+  { header: "Rejim", value: (item) => item.mode },
+  { header: "Model", value: (item) => item.model },
+  { header: "Nomi", value: (item) => item.name },
+  { header: "Holati", value: (item) => item.condition },
+  { header: "Xotira", value: (item) => item.storage },
+  { header: "Rang", value: (item) => item.color },
+  { header: "Quti", value: (item) => item.box },
+  { header: "Narx", value: (item) => item.price },
+  { header: "Narx (matn)", value: (item) => item.priceFormatted },
+  { header: "Batareya", value: (item) => item.battery },
+  { header: "Almashish", value: (item) => (item.exchange ? "ha" : "yo'q") },
+  { header: "Kafolat", value: (item) => item.warranty },
+  { header: "Reyting", value: (item) => item.rating },
+  { header: "Status", value: (item) => item.status },
+  { header: "Rasmlar", value: (item) => item.images.join(" ") },
+  { header: "Telegram xabar ID", value: (item) => item.telegramMessageId },
+  { header: "Kanal holati", value: (item) => item.publishStatus },
+  { header: "Yaratilgan", value: (item) => item.createdAt, date: true },
+];
+
+const bookingExportColumns = [
+  { header: "Buyurtma kodi", value: (item) => item.orderCode },
+  { header: "Telefon kodi", value: (item) => item.listingCode },
+  { header: "Model", value: (item) => item.listingModel },
+  { header: "Nomi", value: (item) => item.listingName },
+  { header: "Narx", value: (item) => item.listingPrice },
+  { header: "Ism", value: (item) => item.fullName },
+  { header: "Telefon", value: (item) => item.phone },
+  { header: "Status", value: (item) => item.status },
+  { header: "Nasiya rejasi ID", value: (item) => item.financingPlanId },
+  { header: "Boshlang'ich %", value: (item) => item.minDownPercent },
+  { header: "Oylik foiz %", value: (item) => item.monthlyRatePercent },
+  { header: "Boshlang'ich to'lov", value: (item) => item.downPayment },
+  { header: "Oylar", value: (item) => item.months },
+  { header: "Oyiga", value: (item) => item.monthlyPayment },
+  { header: "Jami", value: (item) => item.totalPayment },
+  { header: "To'langan", value: (item) => item.paidAmount },
+  { header: "Yaratilgan", value: (item) => item.createdAt, date: true },
+  { header: "Yangilangan", value: (item) => item.updatedAt, date: true },
+];
+
+// Quotes a CSV cell; text that spreadsheets would run as a formula gets a leading "'"
+// (phone numbers like "+998..." are left alone)
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return "";
+  let text = String(value);
+  if (/^[=@\t\r]/.test(text) || /^[+-](?![\d\s()-]*$)/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Pages through `sql` by id so only one batch is in memory; the query must select
+// an `id` column and take its keyset bound as the last parameter
+async function* fetchInBatches(sql, params) {
+  let lastId = 0;
+  while (true) {
+    const result = await pool.query(
+      `${sql} AND id > $${params.length + 1} ORDER BY id ASC LIMIT ${EXPORT_BATCH_SIZE}`,
+      [...params, lastId],
+    );
+    if (result.rowCount === 0) return;
+    yield result.rows;
+    if (result.rowCount < EXPORT_BATCH_SIZE) return;
+    lastId = result.rows[result.rows.length - 1].id;
+  }
+}
+
+// Resolves true on 'drain', or false when the client goes away first, so a disconnect
+// mid-export can't leave the handler waiting for a 'drain' that never comes
+const waitForDrain = (res) =>
+  new Promise((resolve) => {
+    const settle = (flushed) => {
+      res.off("drain", onDrain);
+      res.off("close", onClose);
+      res.off("error", onClose);
+      resolve(flushed);
+    };
+    const onDrain = () => settle(true);
+    const onClose = () => settle(false);
+    res.once("drain", onDrain);
+    res.once("close", onClose);
+    res.once("error", onClose);
+  });
+
+const writeChunk = async (res, chunk) => {
+  if (res.destroyed) return false;
+  return res.write(chunk) || waitForDrain(res);
+};
+
+// Streams batches as CSV or XLSX. Once data is out errors can only abort the response.
+// Leaving the batch loop early closes the generator, so no further queries run.
+const streamExport = async (res, { format, filename, columns, batches, mapRow }) => {
+  res.setHeader(
+    "Content-Type",
+    format === "csv"
+      ? "text/csv; charset=utf-8"
+      : "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  );
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}.${format}"`);
+
+  try {
+    if (format === "csv") {
+      // BOM so Excel opens UTF-8 (Uzbek apostrophes) correctly
+      const header = columns.map((column) => escapeCsvValue(column.header)).join(",");
+      if (!(await writeChunk(res, `\uFEFF${header}\r\n`))) return;
+      for await (const rows of batches) {
+        const lines = rows.map((row) => {
+          const item = mapRow(row);
+          return columns
+            .map((column) => {
+              const value = column.value(item);
+              return escapeCsvValue(column.date ? formatExportDate(value) : value);
+            })
+            .join(",");
+        });
+        if (!(await writeChunk(res, `${lines.join("\r\n")}\r\n`))) return;
+      }
+      res.end();
+      return;
+    }
+
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+    const sheet = workbook.addWorksheet(filename);
+    sheet.columns = columns.map((column) => ({
+      header: column.header,
+      width: column.date ? 22 : 16,
+      ...(column.date ? { style: { numFmt: "yyyy-mm-dd hh:mm" } } : {}),
+    }));
+    // Committed rows flow through the zip stream into res, but exceljs ignores backpressure,
+    // so each batch waits for res to drain like the CSV path does. A client that is gone
+    // ends the loop, and the commit race stops the zip waiting on the dead socket.
+    for await (const rows of batches) {
+      if (res.destroyed) return;
+      rows.forEach((row) => {
+        const item = mapRow(row);
+        sheet
+          .addRow(
+            columns.map((column) => {
+              const value = column.value(item);
+              if (value === null || value === undefined) return null;
+              return column.date ? new Date(value) : value;
+            }),
+          )
+          .commit();
+      });
+      if (res.writableNeedDrain && !(await waitForDrain(res))) return;
+    }
+    if (res.destroyed) return;
+    sheet.commit();
+    await Promise.race([
+      workbook.commit(),
+      new Promise((resolve) => {
+        res.once("close", resolve);
+      }),
+    ]);
+  } catch (error) {
+    console.error("Export stream error:", error);
+    if (!res.headersSent) {
+      res.removeHeader("Content-Disposition");
+      res.status(500).json({ error: "Server xatosi." });
+      return;
+    }
+    res.destroy(error);
+  }
+};
+
+// Shared ?format=&status=&from=&to= parsing for the export endpoints
+const parseExportQuery = (query, statuses) => {
+  const format = String(query.format || "csv").toLowerCase();
+  if (!exportFormats.includes(format)) {
+    return { ok: false, error: "Format noto'g'ri (csv, xlsx)." };
+  }
+  const status = query.status ? String(query.status) : null;
+  if (status && !statuses.includes(status)) {
+    return { ok: false, error: "Status noto'g'ri." };
+  }
+  const range = parseAnalyticsRange(query);
+  if (!range.ok) {
+    return range;
+  }
+  return { ok: true, format, status, from: range.from, to: range.to };
+};
+
+const parseOptionalNumber = (value) => {
+  if (value === undefined) return undefined;
+  if (value === null || value === "") return null;
+  return Number(value);
+};
+
+// Merges a request body over an existing plan (or defaults) and validates the result
+const parseFinancingPlanInput = (body, existing) => {
+  const pick = (key, column, fallback) => {
+    if (body[key] !== undefined) return body[key];
+    if (existing) return existing[column];
+    return fallback;
+  };
+
+  const name = String(pick("name", "name", "") || "").trim();
+  const minDownPercent = Number(pick("minDownPercent", "min_down_percent", undefined));
+  const monthlyRatePercent = Number(pick("monthlyRatePercent", "monthly_rate_percent", undefined));
+  const minMonths = Number(pick("minMonths", "min_months", undefined));
+  const maxMonths = Number(pick("maxMonths", "max_months", undefined));
+  const minPriceInput = parseOptionalNumber(body.minPrice);
+  const maxPriceInput = parseOptionalNumber(body.maxPrice);
+  const minPrice = minPriceInput !== undefined ? minPriceInput : existing?.min_price ?? null;
+  const maxPrice = maxPriceInput !== undefined ? maxPriceInput : existing?.max_price ?? null;
+  const isActiveRaw = pick("isActive", "is_active", true);
+  const isActive = String(isActiveRaw) === "true" || isActiveRaw === true;
+
+  if (!name) {
+    return { ok: false, error: "Reja nomi kerak." };
+  }
+  if (!Number.isFinite(minDownPercent) || minDownPercent < 0 || minDownPercent > 100) {
+    return { ok: false, error: "Boshlang'ich to'lov foizi 0-100 oralig'ida bo'lishi kerak." };
+  }
+  if (!Number.isFinite(monthlyRatePercent) || monthlyRatePercent < 0) {
+    return { ok: false, error: "Oylik foiz noto'g'ri." };
+  }
+  if (
+    !Number.isInteger(minMonths) ||
+    !Number.isInteger(maxMonths) ||
+    minMonths < 1 ||
+    maxMonths < minMonths
+  ) {
+    return { ok: false, error: "Oylar oralig'i noto'g'ri." };
+  }
+  if (
+    (minPrice !== null && (!Number.isFinite(Number(minPrice)) || Number(minPrice) < 0)) ||
+    (maxPrice !== null && (!Number.isFinite(Number(maxPrice)) || Number(maxPrice) < 0)) ||
+    (minPrice !== null && maxPrice !== null && Number(maxPrice) < Number(minPrice))
+  ) {
+    return { ok: false, error: "Narx oralig'i noto'g'ri." };
+  }
+
+  return {
+    ok: true,
+    values: [
+      name,
+      minDownPercent,
+      monthlyRatePercent,
+      minMonths,
+      maxMonths,
+      minPrice,
+      maxPrice,
+      isActive,
+    ],
+  };
+};
+
+// Normalizes listing fields for POST /api/listings and the CSV import so both accept the same data
+const validateListingInput = (body) => {
+  const {
+    mode,
+    model,
+    name,
+    condition,
+    storage,
+    color,
+    box,
+    price,
+    battery,
+    exchange,
+    warranty,
+    rating,
+  } = body || {};
+
+  if (!model || !name || !condition || !storage || !color || !box || !price || !battery || !rating) {
+    return { ok: false, error: "Majburiy maydonlar to'ldirilmagan." };
+  }
+
+  const priceNumeric = String(price).replace(/[^\d.]/g, "");
+  const priceValue = parseFloat(priceNumeric);
+  if (!priceNumeric || !Number.isFinite(priceValue)) {
+    return { ok: false, error: "Narx noto'g'ri." };
+  }
+  const ratingValue = Number(rating);
+  if (!Number.isFinite(ratingValue) || ratingValue < 1 || ratingValue > 5) {
+    return { ok: false, error: "Baholash 1-5 oralig'ida bo'lishi kerak." };
+  }
+
+  return {
+    ok: true,
+    listing: {
+      mode: mode === "only_channel" ? "only_channel" : "db_channel",
+      model,
+      name,
+      condition,
+      storage,
+      color,
+      box,
+      price: priceValue,
+      priceFormatted: formatPriceUsd(price),
+      battery,
+      exchange: String(exchange) === "true" || exchange === true,
+      warranty: warranty || "1 oy",
+      rating: ratingValue,
+    },
+  };
+};
+
+// Inserts a validated listing whose images are already processed and stored, and queues
+// its channel post
+const createListing = async (listing, imageFiles) => {
+  const imageUrls = imageFiles.map((file) => buildPublicUrl(file.filename));
+  // The row and its publish job commit together, so no listing is left without one
+  const creation = await withTransaction(async (client) => {
+    const insertResult = await client.query(
+      `INSERT INTO listings (
+        mode, model, name, condition, storage, color, box,
+        price, price_formatted, battery, exchange, warranty, rating, images
+      ) VALUES (
+        $1, $2, $3, $4, $5, $6, $7,
+        $8, $9, $10, $11, $12, $13, $14
+      )
+      RETURNING code`,
+      [
+        listing.mode,
+        listing.model,
+        listing.name,
+        listing.condition,
+        listing.storage,
+        listing.color,
+        listing.box,
+        listing.price,
+        listing.priceFormatted,
+        listing.battery,
+        listing.exchange,
+        listing.warranty,
+        listing.rating,
+        imageUrls,
+      ],
+    );
+
+    const code = insertResult.rows[0]?.code;
+    const jobId = await enqueueTelegramJob(
+      "publish_listing",
+      { code },
+      { listingCode: code, db: client },
+    );
+    return { code, jobId };
+  });
+  wakeTelegramJobWorker();
+  return creation;
+};
+
+const cleanupFiles = (files) => {
+  if (!files) return;
+  files.forEach((file) => {
+    fs.unlink(file.path, () => {});
+    if (file.filename && processedImagePattern.test(file.filename)) {
+      unlinkUploadVariants(file.filename);
+      if (imageStorage.name !== "local") {
+        removeStoredVariants(file.filename);
+      }
+    }
+  });
+};
+
+// Minimal RFC 4180 parser: quoted fields, "" escapes, CRLF. Excel in some locales saves
+// with ";" so the delimiter is taken from the header line.
+const parseCsv = (text) => {
+  const source = String(text).replace(/^\uFEFF/, "");
+  const headerLine = source.split(/\r?\n/, 1)[0] || "";
+  const delimiter =
+    (headerLine.match(/;/g) || []).length > (headerLine.match(/,/g) || []).length ? ";" : ",";
+
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let index = 0; index < source.length; index += 1) {
+    const char = source[index];
+    if (quoted) {
+      if (char === '"' && source[index + 1] === '"') {
+        field += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && source[index + 1] === "\n") index += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((cells) => cells.some((cell) => cell.trim() !== ""));
+};
+
+const listingImportColumns = [
+  "model",
+  "name",
+  "condition",
+  "storage",
+  "color",
+  "box",
+  "price",
+  "battery",
+  "exchange",
+  "warranty",
+  "rating",
+  "images",
+];
+
+const IMPORT_ENTRY_MAX_BYTES = 10 * 1024 * 1024;
+// Images of queued imports wait here until their row runs, one folder per import
+const LISTING_IMPORT_STAGING_DIR = path.join(os.tmpdir(), "listing-imports");
+
+// Inflates one archive entry with a hard cap on the output. Sizes in the ZIP headers are
+// whatever the uploader wrote, so only the bytes actually produced count.
+const readImportEntry = (entry) => {
+  const basename = path.basename(entry.entryName);
+  // Bit 0 of the general purpose flags marks an encrypted entry
+  if (entry.header.flags & 1) {
+    return { ok: false, error: `${basename}: shifrlangan fayl.` };
+  }
+  const compressed = entry.getCompressedData();
+  if (entry.header.method === 0) {
+    return compressed.length > IMPORT_ENTRY_MAX_BYTES
+      ? { ok: false, error: `${basename}: fayl 10 MB dan katta.` }
+      : { ok: true, data: compressed };
+  }
+  if (entry.header.method !== 8) {
+    return { ok: false, error: `${basename}: ZIP siqish usuli qo'llab-quvvatlanmaydi.` };
+  }
+  try {
+    return {
+      ok: true,
+      data: zlib.inflateRawSync(compressed, { maxOutputLength: IMPORT_ENTRY_MAX_BYTES }),
+    };
+  } catch (error) {
+    return error?.code === "ERR_BUFFER_TOO_LARGE"
+      ? { ok: false, error: `${basename}: fayl 10 MB dan katta.` }
+      : { ok: false, error: `${basename}: fayl buzilgan.` };
+  }
+};
+
+// Image files of the archive by lowercase basename; macOS metadata and folders are skipped.
+// Every entry is inflated once here so the size limits apply to real bytes; the data is
+// dropped and read again when needed.
+const indexImportArchive = (buffer) => {
+  let zip;
+  try {
+    zip = new AdmZip(buffer);
+  } catch (error) {
+    return { ok: false, error: "ZIP arxivni o'qib bo'lmadi." };
+  }
+
+  const entries = new Map();
+  let totalSize = 0;
+  for (const entry of zip.getEntries()) {
+    const basename = path.basename(entry.entryName);
+    if (entry.isDirectory || entry.entryName.startsWith("__MACOSX/") || basename.startsWith(".")) {
+      continue;
+    }
+    const read = readImportEntry(entry);
+    if (!read.ok) {
+      return read;
+    }
+    totalSize += read.data.length;
+    if (totalSize > LISTING_IMPORT_MAX_ARCHIVE_MB * 4 * 1024 * 1024) {
+      return { ok: false, error: "Arxiv ochilganda juda katta." };
+    }
+    entries.set(basename.toLowerCase(), entry);
+  }
+  return { ok: true, entries };
+};
+
+// Checks every CSV row with the single-create rules plus its images in the archive.
+// Row numbers match the spreadsheet (header is row 1).
+const validateListingImport = async (csvText, archiveEntries) => {
+  const [header = [], ...dataRows] = parseCsv(csvText);
+  const columns = header.map((cell) => cell.trim().toLowerCase());
+  const missingColumns = listingImportColumns.filter((column) => !columns.includes(column));
+  if (missingColumns.length > 0) {
+    return { ok: false, error: `CSV da ustunlar yo'q: ${missingColumns.join(", ")}.` };
+  }
+  if (dataRows.length === 0) {
+    return { ok: false, error: "CSV bo'sh." };
+  }
+  if (dataRows.length > LISTING_IMPORT_MAX_ROWS) {
+    return { ok: false, error: `Ko'pi bilan ${LISTING_IMPORT_MAX_ROWS} ta qator.` };
+  }
+
+  const rows = [];
+  const errors = [];
+  for (const [index, cells] of dataRows.entries()) {
+    const rowNumber = index + 2;
+    const values = Object.fromEntries(
+      columns.map((column, columnIndex) => [column, (cells[columnIndex] || "").trim()]),
+    );
+    const rowErrors = [];
+
+    const exchange = parseBooleanFilter(
+      { ha: "true", "yo'q": "false", yoq: "false" }[values.exchange.toLowerCase()] ??
+        values.exchange,
+    );
+    const input = validateListingInput({ ...values, exchange: exchange === true });
+    if (!input.ok) rowErrors.push(input.error);
+
+    const imageNames = values.images
+      .split(/[|;]/)
+      .map((item) => item.trim())
+      .filter(Boolean);
+    if (imageNames.length === 0) {
+      rowErrors.push("Kamida 1 ta rasm kerak.");
+    } else if (imageNames.length > MAX_LISTING_IMAGES) {
+      rowErrors.push(`Ko'pi bilan ${MAX_LISTING_IMAGES} ta rasm.`);
+    }
+    for (const imageName of imageNames) {
+      const entry = archiveEntries.get(path.basename(imageName).toLowerCase());
+      if (!entry) {
+        rowErrors.push(`${imageName}: arxivda topilmadi.`);
+        continue;
+      }
+      try {
+        const metadata = await sharp(readImportEntry(entry).data).metadata();
+        if (!allowedImageFormats.includes(metadata.format)) {
+          rowErrors.push(`${imageName}: rasm formati qo'llab-quvvatlanmaydi.`);
+        }
+      } catch (error) {
+        rowErrors.push(`${imageName}: rasm fayli emas.`);
+      }
+    }
+
+    if (rowErrors.length > 0) {
+      errors.push({ row: rowNumber, errors: rowErrors });
+    } else {
+      rows.push({ row: rowNumber, listing: input.listing, imageNames });
+    }
+  }
+
+  return { ok: true, total: dataRows.length, rows, errors };
+};
+
+const mapListingImportRow = (row) => ({
+  id: Number(row.id),
+  status: row.status,
+  totalRows: row.total_rows,
+  processedRows: row.processed_rows,
+  results: row.results || [],
+  error: row.error,
+  createdBy: row.created_by !== null ? Number(row.created_by) : null,
+  createdAt: row.created_at,
+  finishedAt: row.finished_at,
+});
+
+// Imports run one at a time so their channel posts share the same throttle
+let listingImportQueue = Promise.resolve();
+// Ids of the imports this instance holds in memory (queued or running)
+const activeListingImportIds = new Set();
+
+const stagedImportImagePath = (stagingDir, imageName) =>
+  path.join(stagingDir, path.basename(imageName).toLowerCase());
+
+// Writes the images the valid rows use to a per-import folder, so the throttled job reads
+// them from disk one row at a time instead of holding the archive in memory
+const stageListingImportImages = async (rows, archiveEntries) => {
+  const stagingDir = path.join(LISTING_IMPORT_STAGING_DIR, crypto.randomUUID());
+  try {
+    await fs.promises.mkdir(stagingDir, { recursive: true });
+    const imageNames = new Set(rows.flatMap((row) => row.imageNames));
+    for (const imageName of imageNames) {
+      const read = readImportEntry(archiveEntries.get(path.basename(imageName).toLowerCase()));
+      await fs.promises.writeFile(stagedImportImagePath(stagingDir, imageName), read.data);
+    }
+    return stagingDir;
+  } catch (error) {
+    await fs.promises.rm(stagingDir, { recursive: true, force: true }).catch(() => {});
+    throw error;
+  }
+};
+
+const runListingImport = async (importId, rows, stagingDir) => {
+  await pool.query(
+    "UPDATE listing_imports SET status = 'running', updated_at = NOW() WHERE id = $1",
+    [importId],
+  );
+  const results = [];
+
+  for (const [index, { row, listing, imageNames }] of rows.entries()) {
+    // Copy staged images into UPLOAD_DIR like multer would, then reuse the upload pipeline
+    const imageFiles = imageNames.map((imageName) => {
+      const filename = `${Date.now()}-${Math.round(Math.random() * 1e9)}${path.extname(imageName) || ".jpg"}`;
+      const filePath = path.join(UPLOAD_DIR, filename);
+      fs.copyFileSync(stagedImportImagePath(stagingDir, imageName), filePath);
+      return { fieldname: "images", originalname: imageName, filename, path: filePath };
+    });
+
+    try {
+      const processing = await processUploadedImages(imageFiles);
+      if (!processing.ok) throw new Error(processing.error);
+      await storeUploadedImages(imageFiles);
+      const creation = await createListing(listing, imageFiles);
+      releaseLocalUploads(imageFiles);
+      results.push({ row, code: creation.code, jobId: creation.jobId });
+    } catch (error) {
+      console.error(`Listing import #${importId} row ${row} failed:`, error);
+      cleanupFiles(imageFiles);
+      results.push({ row, error: error.message || "Server xatosi." });
+    }
+
+    await pool.query(
+      "UPDATE listing_imports SET processed_rows = $1, results = $2, updated_at = NOW() WHERE id = $3",
+      [index + 1, JSON.stringify(results), importId],
+    );
+    if (index < rows.length - 1 && LISTING_IMPORT_DELAY_SECONDS > 0) {
+      await sleep(LISTING_IMPORT_DELAY_SECONDS * 1000);
+    }
+  }
+
+  await pool.query(
+    "UPDATE listing_imports SET status = 'done', updated_at = NOW(), finished_at = NOW() WHERE id = $1",
+    [importId],
+  );
+  const created = results.filter((result) => result.code).length;
+  console.log(`Listing import #${importId} done: ${created}/${rows.length}`);
+  await notifyOrdersChat(
+    `Import #${importId} tugadi: ${created} ta telefon qo'shildi, ${rows.length - created} ta xato.`,
+  );
+};
+
+const enqueueListingImport = (importId, rows, stagingDir) => {
+  activeListingImportIds.add(importId);
+  listingImportQueue = listingImportQueue
+    .then(() => runListingImport(importId, rows, stagingDir))
+    .catch(async (error) => {
+      console.error(`Listing import #${importId} failed:`, error);
+      await pool
+        .query(
+          `UPDATE listing_imports
+           SET status = 'failed', error = $1, updated_at = NOW(), finished_at = NOW()
+           WHERE id = $2`,
+          [error.message || "Server xatosi.", importId],
+        )
+        .catch(() => {});
+    })
+    .finally(() => {
+      activeListingImportIds.delete(importId);
+      return fs.promises.rm(stagingDir, { recursive: true, force: true }).catch(() => {});
+    });
+};
+
+// Import rows live in the memory of the instance that accepted them, so an import whose
+// instance stopped refreshing it can't resume: it is failed and only its staged images
+// are removed. Imports of instances that are still up are left alone.
+const failStaleListingImports = async () => {
+  const stale = await pool.query(
+    `UPDATE listing_imports
+     SET status = 'failed', error = 'Server qayta ishga tushdi.', updated_at = NOW(), finished_at = NOW()
+     WHERE status IN ('queued', 'running')
+       AND updated_at < NOW() - $1::float8 * INTERVAL '1 second'
+     RETURNING id, staging_dir`,
+    [LISTING_IMPORT_LEASE_SECONDS],
+  );
+  for (const row of stale.rows) {
+    console.log(`Listing import #${row.id} failed: stale`);
+    // Staging folders are per host; another host's path is simply not there
+    if (row.staging_dir && path.dirname(row.staging_dir) === LISTING_IMPORT_STAGING_DIR) {
+      await fs.promises.rm(row.staging_dir, { recursive: true, force: true }).catch(() => {});
+    }
+  }
+};
+
+// Refreshes this instance's imports well inside the lease, then fails the stale ones of
+// instances that went away while this one keeps running
+const startListingImportHeartbeat = () => {
+  const beat = async () => {
+    try {
+      if (activeListingImportIds.size > 0) {
+        await pool.query("UPDATE listing_imports SET updated_at = NOW() WHERE id = ANY($1::bigint[])", [
+          [...activeListingImportIds],
+        ]);
+      }
+      await failStaleListingImports();
+    } catch (error) {
+      console.error("Listing import heartbeat error:", error);
+    }
+  };
+  setInterval(beat, (LISTING_IMPORT_LEASE_SECONDS * 1000) / 4);
+};
+
+app.get("/api/health", (_req, res) => {
+  res.json({ ok: true });
+});
+
+// Exchanges Telegram initData for a signed session token (sent back as "Authorization: Bearer")
+app.post("/api/auth/verify", async (req, res) => {
   try {
     const initData = req.body?.initData || "";
+
+    if (!initData) {
+      console.log("/api/auth/verify: no initData, DEV_BYPASS:", DEV_BYPASS);
+      if (DEV_BYPASS) {
+        return res.json({
+          isAdmin: true,
+          role: "owner",
+          permissions: getRolePermissions("owner"),
+          development: true,
+        });
+      }
+      return res.status(401).json({ isAdmin: false, error: "Auth kerak." });
+    }
+
+    const verification = verifyTelegramWebAppData(initData, TELEGRAM_BOT_TOKEN, {
+      maxAgeSeconds: TELEGRAM_AUTH_MAX_AGE_SECONDS,
+    });
+    if (!verification.valid || !verification.userId) {
+      console.log("/api/auth/verify: verification failed:", verification.reason);
+      if (verification.reason === "expired") {
+        return res
+          .status(401)
+          .json({ isAdmin: false, error: "Sessiya eskirgan. Ilovani qayta oching." });
+      }
+      return res.status(401).json({ isAdmin: false, error: "Auth kerak." });
+    }
+
+    const role = await getAdminRole(verification.userId);
+
+    // Also get user's phone for caching on frontend
+    const userInfo = await getUserByTelegramId(verification.userId);
+    const session = signSessionToken(verification.userId);
+
+    console.log("/api/auth/verify: userId:", verification.userId, "role:", role);
+    return res.json({
+      isAdmin: role !== null,
+      role,
+      permissions: getRolePermissions(role),
+      userId: verification.userId,
+      user: verification.user,
+      phone: userInfo?.phone || null,
+      verifiedBy: "initData",
+      token: session.token,
+      expiresAt: session.expiresAt,
+    });
+  } catch (error) {
+    console.error("/api/auth/verify error:", error);
+    return res.status(500).json({ isAdmin: false });
+  }
+});
+
+// Phone/userId lookups reveal admin status to anyone, so they only exist in dev bypass mode
+const devBypassOnly = (_req, res, next) => {
+  if (!DEV_BYPASS) {
+    return res.status(404).json({ error: "Topilmadi." });
+  }
+  return next();
+};
+
+// Phone-only verification endpoint (dev only)
+app.post("/api/auth/verify-phone", devBypassOnly, async (req, res) => {
+  try {
     const phone = req.body?.phone || "";
 
-    // Try phone-based verification first (more reliable)
-    if (phone) {
-      const phoneResult = await isAdminByPhone(phone);
-      console.log("/api/auth/verify: phone check:", phone, "result:", phoneResult);
-      if (phoneResult.userId) {
-        return res.json({
-          isAdmin: phoneResult.isAdmin,
-          userId: phoneResult.userId,
-          verifiedBy: "phone",
-        });
+    if (!phone) {
+      return res.status(400).json({ error: "Telefon raqam kerak.", isAdmin: false });
+    }
+
+    const result = await isAdminByPhone(phone);
+    console.log("/api/auth/verify-phone:", phone, "result:", result);
+
+    return res.json({
+      isAdmin: result.isAdmin,
+      userId: result.userId,
+      verifiedBy: "phone",
+    });
+  } catch (error) {
+    console.error("/api/auth/verify-phone error:", error);
+    return res.status(500).json({ isAdmin: false });
+  }
+});
+
+// User ID lookup endpoint - get user info and admin status by Telegram user ID (dev only)
+app.post("/api/auth/verify-userid", devBypassOnly, async (req, res) => {
+  try {
+    const userId = req.body?.userId;
+
+    if (!userId) {
+      return res.status(400).json({ error: "User ID kerak.", isAdmin: false });
+    }
+
+    const numericUserId = Number(userId);
+    if (!Number.isFinite(numericUserId) || numericUserId <= 0) {
+      return res.status(400).json({ error: "User ID noto'g'ri.", isAdmin: false });
+    }
+
+    // Check if user is admin
+    const role = await getAdminRole(numericUserId);
+    const isAdmin = role !== null;
+
+    // Get user info including phone
+    const userInfo = await getUserByTelegramId(numericUserId);
+
+    console.log("/api/auth/verify-userid:", numericUserId, "isAdmin:", isAdmin, "hasPhone:", !!userInfo?.phone);
+
+    return res.json({
+      isAdmin,
+      role,
+      permissions: getRolePermissions(role),
+      userId: numericUserId,
+      phone: userInfo?.phone || null,
+      verifiedBy: "userId",
+    });
+  } catch (error) {
+    console.error("/api/auth/verify-userid error:", error);
+    return res.status(500).json({ isAdmin: false });
+  }
+});
+
+// Registers/refreshes the mini app user. `contact` is the raw response of
+// WebApp.requestContact; its phone is stored and the user's earlier anonymous
+// bookings with that phone are linked to them.
+app.post("/api/users/me", async (req, res) => {
+  try {
+    const { initData, contact } = req.body || {};
+    const verification = verifyTelegramWebAppData(initData, TELEGRAM_BOT_TOKEN, {
+      maxAgeSeconds: TELEGRAM_AUTH_MAX_AGE_SECONDS,
+    });
+    if (!verification.valid || !verification.userId) {
+      return res.status(401).json({ error: "Auth kerak." });
+    }
+
+    let phone = null;
+    if (contact) {
+      const contactCheck = verifyTelegramContact(contact, TELEGRAM_BOT_TOKEN, {
+        maxAgeSeconds: TELEGRAM_AUTH_MAX_AGE_SECONDS,
+      });
+      if (!contactCheck.valid || contactCheck.userId !== verification.userId) {
+        return res.status(400).json({ error: "Kontakt tasdiqlanmadi." });
+      }
+      phone = contactCheck.phone;
+    }
+
+    const { user, linkedBookings } = await withTransaction(async (client) => {
+      const row = await upsertTelegramUser(client, verification.user, phone);
+      if (!phone) {
+        return { user: row, linkedBookings: 0 };
+      }
+      const linkResult = await client.query(
+        `UPDATE bookings
+         SET user_id = $1
+         WHERE user_id IS NULL AND regexp_replace(phone, '\\D', '', 'g') LIKE $2`,
+        [verification.userId, `%${phone.slice(-9)}`],
+      );
+      return { user: row, linkedBookings: linkResult.rowCount };
+    });
+
+    console.log("User upserted:", verification.userId, "phone shared:", !!phone);
+    return res.json({ ...mapUserRow(user), linkedBookings });
+  } catch (error) {
+    console.error("User upsert error:", error);
+    return res.status(500).json({ error: "Server xatosi." });
+  }
+});
+
+app.post("/api/listings", requireAdmin("listings.create"), uploadFields, async (req, res) => {
+  const imageFiles = req.files?.images || [];
+
+  try {
+    const input = validateListingInput(req.body);
+    if (!input.ok) {
+      cleanupFiles(imageFiles);
+      return res.status(400).json({ success: false, error: input.error });
+    }
+
+    // At least 1 image is required
+    if (imageFiles.length === 0) {
+      cleanupFiles(imageFiles);
+      return res.status(400).json({ success: false, error: "Kamida 1 ta rasm kerak." });
+    }
+
+    const processing = await processUploadedImages(imageFiles);
+    if (!processing.ok) {
+      cleanupFiles(imageFiles);
+      return res.status(400).json({ success: false, error: processing.error });
+    }
+    await storeUploadedImages(imageFiles);
+
+    const creation = await createListing(input.listing, imageFiles);
+    releaseLocalUploads(imageFiles);
+
+    // The channel post is sent by the job queue, so telegramMessageId/channelLink are null
+    // here; clients poll GET /api/listings/:code until publishStatus leaves "queued"
+    return res.json({
+      success: true,
+      code: creation.code,
+      telegramMessageId: null,
+      channelLink: null,
+      warning: "Telegram kanalga yuborish navbatga qo'yildi. Holatini publishStatus ko'rsatadi.",
+      publishStatus: "queued",
+      jobId: creation.jobId,
+    });
+  } catch (error) {
+    console.error("Listing create error:", error);
+    cleanupFiles(imageFiles);
+    return res.status(500).json({ success: false, error: "Server xatosi." });
+  }
+});
+
+// Bulk create from a CSV (see listingImportColumns) plus a ZIP of the images it names.
+// dryRun=true only reports per-row errors; otherwise all rows must be valid and are
+// created by a background job (poll GET /api/listing-imports/:id).
+app.post("/api/listing-imports", requireAdmin("listings.create"), importUpload, async (req, res) => {
+  try {
+    const csvFile = req.files?.csv?.[0];
+    const archiveFile = req.files?.archive?.[0];
+    if (!csvFile || !archiveFile) {
+      return res.status(400).json({ success: false, error: "CSV va ZIP fayl kerak." });
+    }
+
+    const archive = indexImportArchive(archiveFile.buffer);
+    if (!archive.ok) {
+      return res.status(400).json({ success: false, error: archive.error });
+    }
+
+    const validation = await validateListingImport(csvFile.buffer.toString("utf8"), archive.entries);
+    if (!validation.ok) {
+      return res.status(400).json({ success: false, error: validation.error });
+    }
+
+    const report = {
+      total: validation.total,
+      valid: validation.rows.length,
+      errors: validation.errors,
+    };
+    const dryRun = parseBooleanFilter(req.body?.dryRun ?? req.query.dryRun) === true;
+    if (dryRun) {
+      return res.json({ success: validation.errors.length === 0, dryRun: true, ...report });
+    }
+    if (validation.errors.length > 0) {
+      return res.status(400).json({ success: false, error: "CSV da xatolar bor.", ...report });
+    }
+
+    const stagingDir = await stageListingImportImages(validation.rows, archive.entries);
+    const insertResult = await pool.query(
+      `INSERT INTO listing_imports (status, total_rows, created_by, staging_dir)
+       VALUES ('queued', $1, $2, $3)
+       RETURNING *`,
+      [validation.rows.length, req.adminUserId || null, stagingDir],
+    );
+    const importJob = mapListingImportRow(insertResult.rows[0]);
+    enqueueListingImport(importJob.id, validation.rows, stagingDir);
+
+    console.log("Listing import queued:", importJob.id, "rows:", validation.rows.length);
+    return res.status(202).json({ success: true, ...report, import: importJob });
+  } catch (error) {
+    console.error("Listing import error:", error);
+    return res.status(500).json({ success: false, error: "Server xatosi." });
+  }
+});
+
+app.get("/api/listing-imports", requireAdmin("listings.create"), async (_req, res) => {
+  try {
+    const result = await pool.query(
+      "SELECT * FROM listing_imports ORDER BY created_at DESC, id DESC LIMIT 20",
+    );
+    return res.json(result.rows.map(mapListingImportRow));
+  } catch (error) {
+    console.error("Listing imports fetch error:", error);
+    return res.status(500).json({ error: "Server xatosi." });
+  }
+});
+
+app.get("/api/listing-imports/:id", requireAdmin("listings.create"), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) {
+      return res.status(400).json({ error: "ID noto'g'ri." });
+    }
+    const result = await pool.query("SELECT * FROM listing_imports WHERE id = $1", [id]);
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: "Topilmadi." });
+    }
+    return res.json(mapListingImportRow(result.rows[0]));
+  } catch (error) {
+    console.error("Listing import fetch error:", error);
+    return res.status(500).json({ error: "Server xatosi." });
+  }
+});
+
+app.get("/api/listings", async (req, res) => {
+  try {
+    const all = String(req.query.all || "").toLowerCase() === "true";
+    const requestedLimit = Number(req.query.limit || 50);
+    const limit = Number.isFinite(requestedLimit)
+      ? Math.min(Math.max(requestedLimit, 1), 500)
+      : 50;
+
+    // Old clients get a plain array; paginate=true (or a cursor) switches to a page object
+    const paginate =
+      String(req.query.paginate || "").toLowerCase() === "true" || Boolean(req.query.cursor);
+    const withTotal = String(req.query.withTotal || "").toLowerCase() === "true";
+
+    const filters = buildListingFilters(req.query);
+    if (!filters.ok) {
+      return res.status(400).json({ error: filters.error });
+    }
+
+    const { conditions, params, sort, sortKey } = filters;
+    if (!paginate) {
+      const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+      let query = `SELECT *, ${listingStatusSql} FROM listings ${whereClause} ${buildListingOrderBy(sort)}`;
+
+      if (!all) {
+        params.push(limit);
+        query += ` LIMIT $${params.length}`;
+      }
+
+      const result = await pool.query(query, params);
+      return res.json(result.rows.map(mapListingRow));
+    }
+
+    let total = null;
+    if (withTotal) {
+      const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+      const countResult = await pool.query(
+        `SELECT COUNT(*)::int AS total FROM listings ${whereClause}`,
+        params,
+      );
+      total = countResult.rows[0].total;
+    }
+
+    const pageConditions = [...conditions];
+    const pageParams = [...params];
+    if (req.query.cursor) {
+      const cursor = decodeListingCursor(req.query.cursor);
+      if (!cursor || cursor.s !== sortKey) {
+        return res.status(400).json({ error: "Cursor noto'g'ri." });
+      }
+      pageParams.push(cursor.v, cursor.c);
+      const operator = sort.direction === "DESC" ? "<" : ">";
+      pageConditions.push(
+        `(${sort.expression}, listings.code) ${operator} ($${pageParams.length - 1}::${sort.type}, $${pageParams.length}::int)`,
+      );
+    }
+
+    const pageWhere = pageConditions.length > 0 ? `WHERE ${pageConditions.join(" AND ")}` : "";
+    pageParams.push(limit + 1);
+    const result = await pool.query(
+      `SELECT *, ${listingStatusSql}, (${sort.expression})::text AS sort_value
+       FROM listings ${pageWhere}
+       ${buildListingOrderBy(sort)}
+       LIMIT $${pageParams.length}`,
+      pageParams,
+    );
+
+    const rows = result.rows.slice(0, limit);
+    const hasMore = result.rows.length > limit;
+    return res.json({
+      items: rows.map(mapListingRow),
+      nextCursor: hasMore ? encodeListingCursor(sortKey, rows[rows.length - 1]) : null,
+      ...(withTotal ? { total } : {}),
+    });
+  } catch (error) {
+    console.error("List fetch error:", error);
+    return res.status(500).json({ error: "Server xatosi." });
+  }
+});
+
+app.get("/api/listings/:code", async (req, res) => {
+  try {
+    const code = Number(req.params.code);
+    if (!Number.isFinite(code)) {
+      return res.status(400).json({ error: "Kod noto'g'ri." });
+    }
+
+    const result = await pool.query(
+      `SELECT *, ${listingStatusSql} FROM listings WHERE code = $1`,
+      [code],
+    );
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: "Topilmadi." });
+    }
+    return res.json(mapListingRow(result.rows[0]));
+  } catch (error) {
+    console.error("Listing fetch error:", error);
+    return res.status(500).json({ error: "Server xatosi." });
+  }
+});
+
+app.get("/api/listings/:code/quote", async (req, res) => {
+  try {
+    const code = Number(req.params.code);
+    if (!Number.isFinite(code)) {
+      return res.status(400).json({ error: "Kod noto'g'ri." });
+    }
+
+    const result = await pool.query(
+      `SELECT *, ${listingStatusSql} FROM listings WHERE code = $1`,
+      [code],
+    );
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: "Topilmadi." });
+    }
+
+    const listing = result.rows[0];
+    const price = Number(listing.price);
+    const planResult = await resolveFinancingPlan(pool, price, req.query.planId);
+    if (!planResult.ok) {
+      return res.status(planResult.status).json({ error: planResult.error });
+    }
+
+    const { plan } = planResult;
+    const financing = calculateFinancing(price, plan, {
+      months: req.query.months || plan.min_months,
+      downPayment: req.query.downPayment,
+    });
+    if (!financing.ok) {
+      return res.status(financing.status).json({ error: financing.error });
+    }
+
+    const { ok: _ok, ...figures } = financing;
+    return res.json({
+      listingCode: listing.code,
+      listingStatus: listing.listing_status || "available",
+      price,
+      plan: mapFinancingPlanRow(plan),
+      ...figures,
+    });
+  } catch (error) {
+    console.error("Listing quote error:", error);
+    return res.status(500).json({ error: "Server xatosi." });
+  }
+});
+
+app.patch("/api/listings/:code", requireAdmin("listings.edit"), async (req, res) => {
+  try {
+    const code = Number(req.params.code);
+    if (!Number.isFinite(code)) {
+      return res.status(400).json({ error: "Kod noto'g'ri." });
+    }
+
+    const existingResult = await pool.query(
+      "SELECT * FROM listings WHERE code = $1",
+      [code],
+    );
+    if (existingResult.rowCount === 0) {
+      return res.status(404).json({ error: "Topilmadi." });
+    }
+
+    const existing = existingResult.rows[0];
+    const body = req.body || {};
+
+    const resolveText = (value, fallback) => {
+      if (value === undefined) return String(fallback || "");
+      if (value === null) return "";
+      return String(value).trim();
+    };
+
+    const model = resolveText(body.model, existing.model);
+    const name = resolveText(body.name, existing.name);
+    const condition = resolveText(body.condition, existing.condition);
+    const storage = resolveText(body.storage, existing.storage);
+    const color = resolveText(body.color, existing.color);
+    const box = resolveText(body.box, existing.box);
+    const battery = resolveText(body.battery, existing.battery);
+    const warranty = resolveText(body.warranty, existing.warranty || "1 oy");
+
+    if (!model || !name || !condition || !storage || !color || !box || !battery) {
+      return res.status(400).json({ error: "Majburiy maydonlar to'ldirilmagan." });
+    }
+
+    const rawPrice = body.price !== undefined ? body.price : existing.price;
+    const priceNumeric = String(rawPrice).replace(/[^\d.]/g, "");
+    const priceValue = parseFloat(priceNumeric);
+    if (!priceNumeric || !Number.isFinite(priceValue)) {
+      return res.status(400).json({ error: "Narx noto'g'ri." });
+    }
+    const priceFormatted = formatPriceUsd(String(rawPrice));
+
+    const exchangeValue =
+      body.exchange !== undefined
+        ? String(body.exchange) === "true" || body.exchange === true
+        : existing.exchange;
+
+    const ratingRaw = body.rating !== undefined ? body.rating : existing.rating;
+    const ratingValue = Number(ratingRaw);
+    if (!Number.isFinite(ratingValue) || ratingValue < 1 || ratingValue > 5) {
+      return res.status(400).json({ error: "Baholash 1-5 oralig'ida bo'lishi kerak." });
+    }
+
+    await pool.query(
+      `UPDATE listings
+       SET model = $1,
+           name = $2,
+           condition = $3,
+           storage = $4,
+           color = $5,
+           box = $6,
+           price = $7,
+           price_formatted = $8,
+           battery = $9,
+           exchange = $10,
+           warranty = $11,
+           rating = $12
+       WHERE code = $13`,
+      [
+        model,
+        name,
+        condition,
+        storage,
+        color,
+        box,
+        priceValue,
+        priceFormatted,
+        battery,
+        exchangeValue,
+        warranty,
+        ratingValue,
+        code,
+      ],
+    );
+
+    const channelSync = await retryChannelSyncLater(
+      await syncListingChannelPost(code),
+      "sync_listing_caption",
+      code,
+    );
+
+    const updated = await pool.query(
+      `SELECT *, ${listingStatusSql} FROM listings WHERE code = $1`,
+      [code],
+    );
+    return res.json({ ...mapListingRow(updated.rows[0]), channelSync });
+  } catch (error) {
+    console.error("Listing update error:", error);
+    return res.status(500).json({ error: "Server xatosi." });
+  }
+});
+
+app.delete("/api/listings/:code", requireAdmin("listings.delete"), async (req, res) => {
+  try {
+    const code = Number(req.params.code);
+    if (!Number.isFinite(code)) {
+      return res.status(400).json({ error: "Kod noto'g'ri." });
+    }
+
+    // The row goes first: if the delete fails, the files and the channel post are still
+    // there. The channel delete is queued in the same transaction so it gets retries.
+    const deletion = await withTransaction(async (client) => {
+      const deleted = await client.query("DELETE FROM listings WHERE code = $1 RETURNING *", [code]);
+      const row = deleted.rows[0];
+      if (!row) return null;
+
+      const messageIds = listingChannelMessageIds(row);
+      const jobId =
+        messageIds.length > 0 && TELEGRAM_BOT_TOKEN && TELEGRAM_CHANNEL_ID
+          ? await enqueueTelegramJob("delete_channel_post", { code, messageIds }, { db: client })
+          : null;
+      return { row, jobId };
+    });
+    if (!deletion) {
+      return res.status(404).json({ error: "Topilmadi." });
+    }
+
+    deleteUploadedImages(normalizeImages(deletion.row.images));
+
+    let channelSync = { synced: false, error: "Kanal posti yo'q." };
+    if (deletion.jobId) {
+      wakeTelegramJobWorker();
+      channelSync = { synced: false, queued: true, jobId: deletion.jobId };
+    }
+    return res.json({ success: true, channelSync });
+  } catch (error) {
+    console.error("Listing delete error:", error);
+    return res.status(500).json({ error: "Server xatosi." });
+  }
+});
+
+const sendListingWithChannelSync = async (res, code, channelSync) => {
+  const updated = await pool.query(
+    `SELECT *, ${listingStatusSql} FROM listings WHERE code = $1`,
+    [code],
+  );
+  return res.json({ ...mapListingRow(updated.rows[0]), channelSync });
+};
+
+// Listings with a channel post are re-posted after image changes. While a publish job for
+// the listing is still queued the change goes through the queue instead, so the worker and
+// this request don't both post an album: a pending job reads the current images when it
+// runs, but one that is already running may have read them before the edit, so another
+// publish is queued behind it.
+const syncListingImagesToChannel = async (row) => {
+  const active = await pool.query(
+    `SELECT id, status FROM telegram_jobs
+     WHERE kind = 'publish_listing' AND listing_code = $1 AND status IN ('pending', 'running')
+     ORDER BY id DESC`,
+    [row.code],
+  );
+  const pendingJob = active.rows.find((job) => job.status === "pending");
+  if (pendingJob) {
+    return { synced: false, queued: true, jobId: Number(pendingJob.id) };
+  }
+  if (active.rows.length > 0 || (!row.telegram_message_id && row.publish_status === "queued")) {
+    const jobId = await enqueueTelegramJob("publish_listing", { code: row.code }, { listingCode: row.code });
+    return { synced: false, queued: true, jobId };
+  }
+  if (!row.telegram_message_id) {
+    return { synced: false, error: "Kanal posti yo'q." };
+  }
+  return retryChannelSyncLater(await republishListingChannelPost(row.code), "publish_listing", row.code);
+};
+
+app.post("/api/listings/:code/images", requireAdmin("listings.edit"), uploadFields, async (req, res) => {
+  const imageFiles = req.files?.images || [];
+
+  try {
+    const code = Number(req.params.code);
+    if (!Number.isFinite(code)) {
+      cleanupFiles(imageFiles);
+      return res.status(400).json({ error: "Kod noto'g'ri." });
+    }
+
+    if (imageFiles.length === 0) {
+      return res.status(400).json({ error: "Kamida 1 ta rasm kerak." });
+    }
+
+    const processing = await processUploadedImages(imageFiles);
+    if (!processing.ok) {
+      cleanupFiles(imageFiles);
+      return res.status(400).json({ error: processing.error });
+    }
+    await storeUploadedImages(imageFiles);
+
+    const newImages = imageFiles.map((file) => buildPublicUrl(file.filename));
+    const result = await pool.query(
+      `UPDATE listings
+       SET images = images || $1::text[]
+       WHERE code = $2 AND cardinality(images) + $3 <= $4
+       RETURNING *`,
+      [newImages, code, newImages.length, MAX_LISTING_IMAGES],
+    );
+
+    if (result.rowCount === 0) {
+      cleanupFiles(imageFiles);
+      const exists = await pool.query("SELECT 1 FROM listings WHERE code = $1", [code]);
+      if (exists.rowCount === 0) {
+        return res.status(404).json({ error: "Topilmadi." });
       }
+      return res.status(400).json({
+        error: `Rasmlar soni ${MAX_LISTING_IMAGES} tadan oshmasligi kerak.`,
+      });
     }
 
-    // Fall back to initData verification
-    if (!initData) {
-      console.log("/api/auth/verify: no initData, DEV_BYPASS:", DEV_BYPASS);
-      if (DEV_BYPASS) {
-        return res.json({ isAdmin: true, development: true });
+    const channelSync = await syncListingImagesToChannel(result.rows[0]);
+    releaseLocalUploads(imageFiles);
+    return sendListingWithChannelSync(res, code, channelSync);
+  } catch (error) {
+    console.error("Listing images add error:", error);
+    cleanupFiles(imageFiles);
+    return res.status(500).json({ error: "Server xatosi." });
+  }
+});
+
+app.delete("/api/listings/:code/images", requireAdmin("listings.edit"), async (req, res) => {
+  try {
+    const code = Number(req.params.code);
+    if (!Number.isFinite(code)) {
+      return res.status(400).json({ error: "Kod noto'g'ri." });
+    }
+
+    const toRemove = (Array.isArray(req.body?.images) ? req.body.images : [])
+      .map(resolveUploadFilename)
+      .filter(Boolean);
+    if (toRemove.length === 0) {
+      return res.status(400).json({ error: "O'chiriladigan rasmlar ko'rsatilmagan." });
+    }
+
+    const removal = await withTransaction(async (client) => {
+      const existingResult = await client.query(
+        "SELECT * FROM listings WHERE code = $1 FOR UPDATE",
+        [code],
+      );
+      if (existingResult.rowCount === 0) {
+        return { ok: false, status: 404, error: "Topilmadi." };
       }
-      return res.json({ isAdmin: false });
-    }
-
-    const verification = verifyTelegramWebAppData(initData, TELEGRAM_BOT_TOKEN);
-    if (!verification.valid) {
-      console.log("/api/auth/verify: verification failed");
-      // If initData fails but we have phone, try phone again
-      if (phone) {
-        const phoneResult = await isAdminByPhone(phone);
-        if (phoneResult.userId) {
-          return res.json({
-            isAdmin: phoneResult.isAdmin,
-            userId: phoneResult.userId,
-            verifiedBy: "phone",
-          });
-        }
+
+      const images = normalizeImages(existingResult.rows[0].images);
+      const removed = images.filter((image) => toRemove.includes(resolveUploadFilename(image)));
+      const kept = images.filter((image) => !toRemove.includes(resolveUploadFilename(image)));
+      if (removed.length === 0) {
+        return { ok: false, status: 404, error: "Rasm topilmadi." };
       }
-      return res.json({ isAdmin: false });
+      if (kept.length === 0) {
+        return { ok: false, status: 400, error: "Kamida 1 ta rasm qolishi kerak." };
+      }
+
+      const updateResult = await client.query(
+        "UPDATE listings SET images = $1 WHERE code = $2 RETURNING *",
+        [kept, code],
+      );
+      return { ok: true, row: updateResult.rows[0], removed };
+    });
+
+    if (!removal.ok) {
+      return res.status(removal.status).json({ error: removal.error });
     }
 
-    const admin = await isAdminUser(verification.userId);
+    const channelSync = await syncListingImagesToChannel(removal.row);
+    deleteUploadedImages(removal.removed);
+    return sendListingWithChannelSync(res, code, channelSync);
+  } catch (error) {
+    console.error("Listing images delete error:", error);
+    return res.status(500).json({ error: "Server xatosi." });
+  }
+});
 
-    // Also get user's phone for caching on frontend
-    const userInfo = await getUserByTelegramId(verification.userId);
+app.put("/api/listings/:code/images/order", requireAdmin("listings.edit"), async (req, res) => {
+  try {
+    const code = Number(req.params.code);
+    if (!Number.isFinite(code)) {
+      return res.status(400).json({ error: "Kod noto'g'ri." });
+    }
 
-    console.log("/api/auth/verify: userId:", verification.userId, "isAdmin:", admin);
-    return res.json({
-      isAdmin: admin,
-      userId: verification.userId,
-      phone: userInfo?.phone || null,
-      verifiedBy: "initData",
+    const order = (Array.isArray(req.body?.images) ? req.body.images : [])
+      .map(resolveUploadFilename);
+
+    const reorder = await withTransaction(async (client) => {
+      const existingResult = await client.query(
+        "SELECT * FROM listings WHERE code = $1 FOR UPDATE",
+        [code],
+      );
+      if (existingResult.rowCount === 0) {
+        return { ok: false, status: 404, error: "Topilmadi." };
+      }
+
+      const images = normalizeImages(existingResult.rows[0].images);
+      const byFilename = new Map(images.map((image) => [resolveUploadFilename(image), image]));
+      const sameSet =
+        order.length === images.length &&
+        new Set(order).size === order.length &&
+        order.every((filename) => byFilename.has(filename));
+      if (!sameSet) {
+        return {
+          ok: false,
+          status: 400,
+          error: "Tartib mavjud rasmlarning barchasini bir martadan o'z ichiga olishi kerak.",
+        };
+      }
+
+      const updateResult = await client.query(
+        "UPDATE listings SET images = $1 WHERE code = $2 RETURNING *",
+        [order.map((filename) => byFilename.get(filename)), code],
+      );
+      return { ok: true, row: updateResult.rows[0] };
     });
+
+    if (!reorder.ok) {
+      return res.status(reorder.status).json({ error: reorder.error });
+    }
+
+    const channelSync = await syncListingImagesToChannel(reorder.row);
+    return sendListingWithChannelSync(res, code, channelSync);
   } catch (error) {
-    console.error("/api/auth/verify error:", error);
-    return res.status(500).json({ isAdmin: false });
+    console.error("Listing images reorder error:", error);
+    return res.status(500).json({ error: "Server xatosi." });
   }
 });
 
-// Phone-only verification endpoint
-app.post("/api/auth/verify-phone", async (req, res) => {
+// Sends the listing to the channel again with its stored images and a fresh caption, e.g.
+// when the first post failed or has scrolled away. deletePrevious=false keeps the old post.
+app.post("/api/listings/:code/publish", requireAdmin("listings.edit"), async (req, res) => {
   try {
-    const phone = req.body?.phone || "";
+    const code = Number(req.params.code);
+    if (!Number.isFinite(code)) {
+      return res.status(400).json({ error: "Kod noto'g'ri." });
+    }
 
-    if (!phone) {
-      return res.status(400).json({ error: "Telefon raqam kerak.", isAdmin: false });
+    const existing = await pool.query("SELECT 1 FROM listings WHERE code = $1", [code]);
+    if (existing.rowCount === 0) {
+      return res.status(404).json({ error: "Topilmadi." });
     }
 
-    const result = await isAdminByPhone(phone);
-    console.log("/api/auth/verify-phone:", phone, "result:", result);
+    const deletePrevious = parseBooleanFilter(req.body?.deletePrevious) !== false;
+    const channelSync = await retryChannelSyncLater(
+      await republishListingChannelPost(code, { deletePrevious }),
+      "publish_listing",
+      code,
+      { deletePrevious },
+    );
+    console.log("Listing publish:", code, "by:", req.adminUserId, channelSync);
+    return sendListingWithChannelSync(res, code, channelSync);
+  } catch (error) {
+    console.error("Listing publish error:", error);
+    return res.status(500).json({ error: "Server xatosi." });
+  }
+});
 
-    return res.json({
-      isAdmin: result.isAdmin,
-      userId: result.userId,
-      verifiedBy: "phone",
+app.post("/api/bookings", async (req, res) => {
+  try {
+    const {
+      initData,
+      listingCode,
+      fullName,
+      phone,
+      downPayment,
+      months,
+      planId,
+    } = req.body || {};
+
+    if (!listingCode || !fullName || !phone || !months) {
+      return res.status(400).json({ error: "Ma'lumotlar to'liq emas." });
+    }
+
+    // Auth is OPTIONAL for booking - user provides phone for verification
+    // A session token or initData, if present, is used to link the booking to the user
+    let userId = getSessionUserId(req);
+    let telegramUser = null;
+    if (userId) {
+      console.log("Booking with session user:", userId);
+    } else if (initData) {
+      const verification = verifyTelegramWebAppData(initData, TELEGRAM_BOT_TOKEN, {
+        maxAgeSeconds: TELEGRAM_AUTH_MAX_AGE_SECONDS,
+      });
+      if (verification.valid && verification.userId) {
+        userId = verification.userId;
+        telegramUser = verification.user;
+        console.log("Booking with verified user:", userId);
+      } else {
+        // Invalid initData - just ignore it, don't fail
+        console.log("Booking with invalid/missing auth - proceeding anyway");
+      }
+    } else {
+      console.log("Booking without initData - proceeding with phone verification only");
+    }
+
+    // Lock the listing row so concurrent bookings for the same phone are serialized
+    const creation = await withTransaction(async (client) => {
+      const listingResult = await client.query(
+        `SELECT *, ${listingStatusSql} FROM listings WHERE code = $1 FOR UPDATE`,
+        [Number(listingCode)],
+      );
+
+      if (listingResult.rowCount === 0) {
+        return { ok: false, status: 404, error: "Telefon topilmadi." };
+      }
+
+      const listing = listingResult.rows[0];
+      const listingStatus = listing.listing_status || "available";
+      if (listingStatus === "reserved") {
+        return { ok: false, status: 409, error: "Telefon hozircha bron qilingan." };
+      }
+      if (listingStatus === "sold") {
+        return { ok: false, status: 409, error: "Telefon sotilgan." };
+      }
+
+      if (MAX_PENDING_BOOKINGS_PER_LISTING > 0) {
+        const pendingResult = await client.query(
+          "SELECT COUNT(*)::int AS count FROM bookings WHERE listing_code = $1 AND status = 'pending'",
+          [listing.code],
+        );
+        if (pendingResult.rows[0].count >= MAX_PENDING_BOOKINGS_PER_LISTING) {
+          return {
+            ok: false,
+            status: 409,
+            error: "Bu telefon uchun so'rovlar ko'p. Keyinroq urinib ko'ring.",
+          };
+        }
+      }
+
+      const price = Number(listing.price);
+      const planResult = await resolveFinancingPlan(client, price, planId);
+      if (!planResult.ok) {
+        return planResult;
+      }
+
+      const { plan } = planResult;
+      const financing = calculateFinancing(price, plan, { months, downPayment });
+      if (!financing.ok) {
+        return financing;
+      }
+
+      if (telegramUser) {
+        await upsertTelegramUser(client, telegramUser);
+      } else if (userId) {
+        await ensureUserRow(client, userId);
+      }
+
+      for (let attempt = 0; attempt < 3; attempt += 1) {
+        const insertResult = await client.query(
+          `INSERT INTO bookings (
+            order_code, listing_code, user_id, full_name, phone,
+            down_payment, months, monthly_payment, total_payment, status,
+            financing_plan_id, min_down_percent, monthly_rate_percent
+          ) VALUES (
+            $1, $2, $3, $4, $5,
+            $6, $7, $8, $9, 'pending',
+            $10, $11, $12
+          )
+          ON CONFLICT (order_code) DO NOTHING
+          RETURNING *`,
+          [
+            generateOrderCode(),
+            listing.code,
+            userId,
+            fullName,
+            phone,
+            financing.downPayment,
+            financing.months,
+            financing.monthlyPayment,
+            financing.totalPayment,
+            plan.id,
+            plan.min_down_percent,
+            plan.monthly_rate_percent,
+          ],
+        );
+        if (insertResult.rowCount > 0) {
+          const booking = insertResult.rows[0];
+          await insertBookingStatusHistory(client, booking.id, null, "pending", userId, null);
+          return { ok: true, booking, listing, plan };
+        }
+      }
+
+      return { ok: false, status: 500, error: "Buyurtma yaratilmadi." };
     });
+
+    if (!creation.ok) {
+      return res.status(creation.status).json({ error: creation.error });
+    }
+
+    const { booking: inserted, listing } = creation;
+
+    try {
+      const message = `Yangi bron:
+Buyurtma kodi: ${inserted.order_code}
+Telefon kodi: ${listing.code}
+Model/Nomi: ${listing.model} ${listing.name}
+Narxi: ${listing.price_formatted}
+Nasiya rejasi: ${creation.plan.name}
+Boshlang'ich to'lov: $${Number(inserted.down_payment)}
+Oylar: ${inserted.months}
+Oyiga: $${Number(inserted.monthly_payment)}
+Jami: $${Number(inserted.total_payment)}
+Ism: ${fullName}
+Telefon: ${phone}
+Status: pending`;
+
+      await sendBookingNotificationToAdmins(message, inserted.order_code);
+    } catch (error) {
+      console.error("Booking Telegram notify failed:", error);
+    }
+
+    return res.json(mapBookingRow(inserted));
   } catch (error) {
-    console.error("/api/auth/verify-phone error:", error);
-    return res.status(500).json({ isAdmin: false });
+    console.error("Booking create error:", error);
+    return res.status(500).json({ error: "Server xatosi." });
   }
 });
 
-// User ID lookup endpoint - get user info and admin status by Telegram user ID
-app.post("/api/auth/verify-userid", async (req, res) => {
+app.get("/api/me/bookings", async (req, res) => {
   try {
-    const userId = req.body?.userId;
-
+    const userId = getSessionUserId(req);
     if (!userId) {
-      return res.status(400).json({ error: "User ID kerak.", isAdmin: false });
+      return res.status(401).json({ error: "Auth kerak." });
+    }
+
+    const result = await pool.query(
+      `SELECT bookings.*,
+              listings.model AS listing_model,
+              listings.name AS listing_name,
+              listings.price_formatted AS listing_price_formatted,
+              listings.images AS listing_images,
+              ${listingStatusCase} AS listing_status
+       FROM bookings
+       JOIN listings ON listings.code = bookings.listing_code
+       WHERE bookings.user_id = $1
+       ORDER BY bookings.created_at DESC`,
+      [userId],
+    );
+
+    return res.json(
+      result.rows.map((row) => {
+        const images = normalizeImages(row.listing_images);
+        return {
+          ...mapBookingRow(row),
+          listing: {
+            code: row.listing_code,
+            model: row.listing_model,
+            name: row.listing_name,
+            priceFormatted: row.listing_price_formatted,
+            status: row.listing_status || "available",
+            image: images.length > 0 ? buildImageSet(images[0]) : null,
+          },
+        };
+      }),
+    );
+  } catch (error) {
+    console.error("My bookings fetch error:", error);
+    return res.status(500).json({ error: "Server xatosi." });
+  }
+});
+
+app.get("/api/bookings/:orderCode", async (req, res) => {
+  try {
+    const orderCode = req.params.orderCode;
+    const result = await pool.query(
+      "SELECT * FROM bookings WHERE order_code = $1",
+      [orderCode],
+    );
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: "Bron topilmadi." });
     }
 
-    const numericUserId = Number(userId);
-    if (!Number.isFinite(numericUserId) || numericUserId <= 0) {
-      return res.status(400).json({ error: "User ID noto'g'ri.", isAdmin: false });
+    const row = result.rows[0];
+    const sessionUserId = getSessionUserId(req);
+    let fullAccess = sessionUserId !== null && Number(row.user_id) === sessionUserId;
+    if (!fullAccess && (sessionUserId || DEV_BYPASS)) {
+      const adminCheck = await requireAdminFromRequest(req);
+      fullAccess = adminCheck.ok && hasPermission(adminCheck.role, "bookings.manage");
     }
 
-    // Check if user is admin
-    const isAdmin = await isAdminUser(numericUserId);
-
-    // Get user info including phone
-    const userInfo = await getUserByTelegramId(numericUserId);
-
-    console.log("/api/auth/verify-userid:", numericUserId, "isAdmin:", isAdmin, "hasPhone:", !!userInfo?.phone);
-
-    return res.json({
-      isAdmin,
-      userId: numericUserId,
-      phone: userInfo?.phone || null,
-      verifiedBy: "userId",
-    });
+    const booking = mapBookingRow(row);
+    return res.json(fullAccess ? booking : maskBookingPii(booking));
   } catch (error) {
-    console.error("/api/auth/verify-userid error:", error);
-    return res.status(500).json({ isAdmin: false });
+    console.error("Booking fetch error:", error);
+    return res.status(500).json({ error: "Server xatosi." });
   }
 });
 
-app.post("/api/listings", uploadFields, async (req, res) => {
-  const imageFiles = req.files?.images || [];
-
+app.patch("/api/bookings/:orderCode/status", requireAdmin("bookings.manage"), async (req, res) => {
   try {
-    const {
-      initData,
-      mode,
-      model,
-      name,
-      condition,
-      storage,
-      color,
-      box,
-      price,
-      battery,
-      exchange,
-      warranty,
-      rating,
-    } = req.body || {};
-
-    // Auth check: try initData first, then userId fallback
-    const directUserId = req.body?.userId || "";
-    let adminVerified = false;
-
-    if (initData) {
-      const verification = verifyTelegramWebAppData(initData, TELEGRAM_BOT_TOKEN);
-      if (verification.valid) {
-        const admin = await isAdminUser(verification.userId);
-        if (admin) {
-          adminVerified = true;
-        } else {
-          cleanupFiles(imageFiles);
-          return res.status(403).json({ success: false, error: "Ruxsat yo'q." });
-        }
-      }
-    }
-
-    if (!adminVerified && directUserId) {
-      const numericUserId = Number(directUserId);
-      if (Number.isFinite(numericUserId) && numericUserId > 0) {
-        const admin = await isAdminUser(numericUserId);
-        if (admin) {
-          adminVerified = true;
-        } else {
-          cleanupFiles(imageFiles);
-          return res.status(403).json({ success: false, error: "Ruxsat yo'q." });
-        }
-      }
-    }
+    const orderCode = req.params.orderCode;
+    const { status, reason } = req.body || {};
 
-    if (!adminVerified && !DEV_BYPASS) {
-      cleanupFiles(imageFiles);
-      return res.status(401).json({ success: false, error: "Auth kerak." });
+    if (!bookingStatuses.includes(status)) {
+      return res.status(400).json({ error: "Status noto'g'ri." });
     }
 
-    if (!model || !name || !condition || !storage || !color || !box || !price || !battery || !rating) {
-      cleanupFiles(imageFiles);
-      return res.status(400).json({ success: false, error: "Majburiy maydonlar to'ldirilmagan." });
+    const change = await changeBookingStatus({
+      orderCode,
+      status,
+      changedBy: req.adminUserId,
+      reason: reason ? String(reason).trim() : null,
+    });
+    if (!change.ok) {
+      return res.status(change.status).json({ error: change.error });
     }
 
-    // At least 1 image is required
-    if (imageFiles.length === 0) {
-      cleanupFiles(imageFiles);
-      return res.status(400).json({ success: false, error: "Kamida 1 ta rasm kerak." });
-    }
+    syncListingChannelPostInBackground(change.booking.listing_code);
+    return res.json(mapBookingRow(change.booking));
+  } catch (error) {
+    console.error("Booking status error:", error);
+    return res.status(500).json({ error: "Server xatosi." });
+  }
+});
 
-    const modeValue = mode === "only_channel" ? "only_channel" : "db_channel";
-    const imageUrls = imageFiles.map((file) => buildPublicUrl(file.filename));
-    const priceNumeric = String(price).replace(/[^\d.]/g, "");
-    const priceValue = parseFloat(priceNumeric);
-    const priceFormatted = formatPriceUsd(price);
-    if (!priceNumeric || !Number.isFinite(priceValue)) {
-      cleanupFiles(imageFiles);
-      return res.status(400).json({ success: false, error: "Narx noto'g'ri." });
-    }
-    const ratingValue = Number(rating);
-    if (!Number.isFinite(ratingValue) || ratingValue < 1 || ratingValue > 5) {
-      cleanupFiles(imageFiles);
-      return res.status(400).json({ success: false, error: "Baholash 1-5 oralig'ida bo'lishi kerak." });
+app.get("/api/bookings/:orderCode/history", requireAdmin("bookings.manage"), async (req, res) => {
+  try {
+    const bookingResult = await pool.query(
+      "SELECT id FROM bookings WHERE order_code = $1",
+      [req.params.orderCode],
+    );
+    if (bookingResult.rowCount === 0) {
+      return res.status(404).json({ error: "Bron topilmadi." });
     }
-    const exchangeValue = String(exchange) === "true" || exchange === true;
 
-    const insertResult = await pool.query(
-      `INSERT INTO listings (
-        mode, model, name, condition, storage, color, box,
-        price, price_formatted, battery, exchange, warranty, rating, images
-      ) VALUES (
-        $1, $2, $3, $4, $5, $6, $7,
-        $8, $9, $10, $11, $12, $13, $14
-      )
-      RETURNING code`,
-      [
-        modeValue,
-        model,
-        name,
-        condition,
-        storage,
-        color,
-        box,
-        priceValue,
-        priceFormatted,
-        battery,
-        exchangeValue,
-        warranty || "1 oy",
-        ratingValue,
-        imageUrls,
-      ],
+    const historyResult = await pool.query(
+      `SELECT * FROM booking_status_history
+       WHERE booking_id = $1
+       ORDER BY created_at ASC, id ASC`,
+      [bookingResult.rows[0].id],
     );
+    return res.json(historyResult.rows.map(mapBookingStatusHistoryRow));
+  } catch (error) {
+    console.error("Booking history error:", error);
+    return res.status(500).json({ error: "Server xatosi." });
+  }
+});
 
-    const code = insertResult.rows[0]?.code;
-    const caption = formatListingMessage(
-      {
-        model,
-        name,
-        condition,
-        storage,
-        color,
-        box,
-        price: priceFormatted,
-        battery,
-        exchange: exchangeValue,
-        warranty: warranty || "1 oy",
-        rating: ratingValue,
-      },
-      code,
-      priceFormatted,
+app.get("/api/bookings/:orderCode/installments", requireAdmin("payments.manage"), async (req, res) => {
+  try {
+    const bookingResult = await pool.query(
+      "SELECT * FROM bookings WHERE order_code = $1",
+      [req.params.orderCode],
     );
-
-    // Send images to Telegram channel
-    let telegramMessageId = null;
-    try {
-      telegramMessageId = await sendTelegramMediaGroup(caption, imageFiles);
-
-      if (telegramMessageId) {
-        await pool.query(
-          "UPDATE listings SET telegram_message_id = $1 WHERE code = $2",
-          [telegramMessageId, code],
-        );
-      }
-    } catch (telegramError) {
-      console.error("Telegram send failed:", telegramError);
-      if (modeValue === "only_channel") {
-        await pool.query("DELETE FROM listings WHERE code = $1", [code]);
-        cleanupFiles(imageFiles);
-        return res.status(500).json({
-          success: false,
-          error: `Telegram kanalga yuborilmadi. ${
-            telegramError?.message || "Bot kanalga admin ekanini tekshiring."
-          }`,
-        });
-      }
+    if (bookingResult.rowCount === 0) {
+      return res.status(404).json({ error: "Bron topilmadi." });
     }
 
-    const channelLink =
-      TELEGRAM_CHANNEL_ID && TELEGRAM_CHANNEL_ID.startsWith("@") && telegramMessageId
-        ? `https://t.me/${TELEGRAM_CHANNEL_ID.slice(1)}/${telegramMessageId}`
-        : null;
-
-    return res.json({
-      success: true,
-      code,
-      telegramMessageId,
-      channelLink,
-      ...(telegramMessageId
-        ? {}
-        : {
-            warning:
-              "Telegram kanalga rasmlar yuborilmadi. Bot kanalga admin ekanini tekshiring.",
-          }),
-    });
+    const booking = bookingResult.rows[0];
+    const rows = await fetchBookingInstallments(pool, booking.id);
+    return res.json(buildInstallmentSummary(booking, rows));
   } catch (error) {
-    console.error("Listing create error:", error);
-    cleanupFiles(imageFiles);
-    return res.status(500).json({ success: false, error: "Server xatosi." });
+    console.error("Installments fetch error:", error);
+    return res.status(500).json({ error: "Server xatosi." });
   }
 });
 
-app.get("/api/listings", async (req, res) => {
+app.post("/api/bookings/:orderCode/payments", requireAdmin("payments.manage"), async (req, res) => {
   try {
-    const all = String(req.query.all || "").toLowerCase() === "true";
-    const statusFilter = String(req.query.status || "").toLowerCase();
-    const includeSold = String(req.query.includeSold || "").toLowerCase() === "true";
-    const requestedLimit = Number(req.query.limit || 50);
-    const limit = Number.isFinite(requestedLimit)
-      ? Math.min(Math.max(requestedLimit, 1), 500)
-      : 50;
-
-    let whereClause = "";
-    if (statusFilter === "sold") {
-      whereClause = `WHERE ${listingStatusCase} = 'sold'`;
-    } else if (statusFilter === "reserved") {
-      whereClause = `WHERE ${listingStatusCase} = 'reserved'`;
-    } else if (statusFilter === "available") {
-      whereClause = `WHERE ${listingStatusCase} = 'available'`;
-    } else if (!includeSold) {
-      whereClause = `WHERE ${listingStatusCase} <> 'sold'`;
+    const amount = roundMoney(req.body?.amount);
+    if (!Number.isFinite(amount) || amount <= 0) {
+      return res.status(400).json({ error: "To'lov summasi noto'g'ri." });
     }
 
-    let query = `SELECT *, ${listingStatusSql} FROM listings ${whereClause} ORDER BY created_at DESC`;
-    const params = [];
+    const rawNumber = req.body?.installmentNumber;
+    const installmentNumber =
+      rawNumber === undefined || rawNumber === null || rawNumber === ""
+        ? null
+        : Number(rawNumber);
+    if (installmentNumber !== null && (!Number.isInteger(installmentNumber) || installmentNumber < 1)) {
+      return res.status(400).json({ error: "To'lov raqami noto'g'ri." });
+    }
 
-    if (!all) {
-      query += " LIMIT $1";
-      params.push(limit);
+    const payment = await recordInstallmentPayment({
+      orderCode: req.params.orderCode,
+      amount,
+      installmentNumber,
+    });
+    if (!payment.ok) {
+      return res.status(payment.status).json({ error: payment.error });
     }
 
-    const result = await pool.query(query, params);
-    return res.json(result.rows.map(mapListingRow));
+    console.log("Installment payment:", req.params.orderCode, amount, "by", req.adminUserId);
+    return res.json(payment.summary);
   } catch (error) {
-    console.error("List fetch error:", error);
+    console.error("Installment payment error:", error);
     return res.status(500).json({ error: "Server xatosi." });
   }
 });
 
-app.get("/api/listings/:code", async (req, res) => {
+app.get("/api/financing-plans", async (req, res) => {
   try {
-    const code = Number(req.params.code);
-    if (!Number.isFinite(code)) {
-      return res.status(400).json({ error: "Kod noto'g'ri." });
+    const all = String(req.query.all || "").toLowerCase() === "true";
+    if (all) {
+      const adminCheck = await requireAdminFromRequest(req);
+      if (!adminCheck.ok) {
+        return res.status(adminCheck.status).json({ error: adminCheck.error });
+      }
+      if (!hasPermission(adminCheck.role, "financing.manage")) {
+        return res.status(403).json({ error: "Bu amal uchun ruxsat yo'q." });
+      }
     }
 
     const result = await pool.query(
-      `SELECT *, ${listingStatusSql} FROM listings WHERE code = $1`,
-      [code],
+      `SELECT * FROM financing_plans
+       ${all ? "" : "WHERE is_active = TRUE"}
+       ORDER BY id ASC`,
     );
-    if (result.rowCount === 0) {
-      return res.status(404).json({ error: "Topilmadi." });
-    }
-    return res.json(mapListingRow(result.rows[0]));
+    return res.json(result.rows.map(mapFinancingPlanRow));
   } catch (error) {
-    console.error("Listing fetch error:", error);
+    console.error("Financing plans fetch error:", error);
     return res.status(500).json({ error: "Server xatosi." });
   }
 });
 
-app.patch("/api/listings/:code", async (req, res) => {
+app.post("/api/financing-plans", requireAdmin("financing.manage"), async (req, res) => {
   try {
-    const code = Number(req.params.code);
-    if (!Number.isFinite(code)) {
-      return res.status(400).json({ error: "Kod noto'g'ri." });
+    const input = parseFinancingPlanInput(req.body || {}, null);
+    if (!input.ok) {
+      return res.status(400).json({ error: input.error });
     }
 
-    const adminCheck = await requireAdminFromRequest(req);
-    if (!adminCheck.ok) {
-      return res.status(adminCheck.status).json({ error: adminCheck.error });
+    const result = await pool.query(
+      `INSERT INTO financing_plans (
+        name, min_down_percent, monthly_rate_percent, min_months, max_months,
+        min_price, max_price, is_active
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING *`,
+      input.values,
+    );
+    return res.json(mapFinancingPlanRow(result.rows[0]));
+  } catch (error) {
+    console.error("Financing plan create error:", error);
+    return res.status(500).json({ error: "Server xatosi." });
+  }
+});
+
+// Plans are never deleted (bookings reference them); set isActive=false to retire one
+app.patch("/api/financing-plans/:id", requireAdmin("financing.manage"), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) {
+      return res.status(400).json({ error: "ID noto'g'ri." });
     }
 
     const existingResult = await pool.query(
-      "SELECT * FROM listings WHERE code = $1",
-      [code],
+      "SELECT * FROM financing_plans WHERE id = $1",
+      [id],
     );
     if (existingResult.rowCount === 0) {
       return res.status(404).json({ error: "Topilmadi." });
     }
 
-    const existing = existingResult.rows[0];
-    const body = req.body || {};
-
-    const resolveText = (value, fallback) => {
-      if (value === undefined) return String(fallback || "");
-      if (value === null) return "";
-      return String(value).trim();
-    };
+    const input = parseFinancingPlanInput(req.body || {}, existingResult.rows[0]);
+    if (!input.ok) {
+      return res.status(400).json({ error: input.error });
+    }
 
-    const model = resolveText(body.model, existing.model);
-    const name = resolveText(body.name, existing.name);
-    const condition = resolveText(body.condition, existing.condition);
-    const storage = resolveText(body.storage, existing.storage);
-    const color = resolveText(body.color, existing.color);
-    const box = resolveText(body.box, existing.box);
-    const battery = resolveText(body.battery, existing.battery);
-    const warranty = resolveText(body.warranty, existing.warranty || "1 oy");
+    const result = await pool.query(
+      `UPDATE financing_plans
+       SET name = $1,
+           min_down_percent = $2,
+           monthly_rate_percent = $3,
+           min_months = $4,
+           max_months = $5,
+           min_price = $6,
+           max_price = $7,
+           is_active = $8,
+           updated_at = NOW()
+       WHERE id = $9
+       RETURNING *`,
+      [...input.values, id],
+    );
+    return res.json(mapFinancingPlanRow(result.rows[0]));
+  } catch (error) {
+    console.error("Financing plan update error:", error);
+    return res.status(500).json({ error: "Server xatosi." });
+  }
+});
 
-    if (!model || !name || !condition || !storage || !color || !box || !battery) {
-      return res.status(400).json({ error: "Majburiy maydonlar to'ldirilmagan." });
-    }
+app.get("/api/admins", requireAdmin("admins.manage"), async (_req, res) => {
+  try {
+    const result = await pool.query(`${adminSelectSql} ORDER BY a.created_at ASC, a.id ASC`);
+    return res.json(result.rows.map(mapAdminRow));
+  } catch (error) {
+    console.error("Admins fetch error:", error);
+    return res.status(500).json({ error: "Server xatosi." });
+  }
+});
 
-    const rawPrice = body.price !== undefined ? body.price : existing.price;
-    const priceNumeric = String(rawPrice).replace(/[^\d.]/g, "");
-    const priceValue = parseFloat(priceNumeric);
-    if (!priceNumeric || !Number.isFinite(priceValue)) {
-      return res.status(400).json({ error: "Narx noto'g'ri." });
+// Adds an admin by Telegram ID, or by the phone of someone already in `users`
+app.post("/api/admins", requireAdmin("admins.manage"), async (req, res) => {
+  try {
+    const { telegramUserId, phone, role = "seller" } = req.body || {};
+    if (!adminRoles.includes(role)) {
+      return res.status(400).json({ error: "Rol noto'g'ri." });
     }
-    const priceFormatted = formatPriceUsd(String(rawPrice));
-
-    const exchangeValue =
-      body.exchange !== undefined
-        ? String(body.exchange) === "true" || body.exchange === true
-        : existing.exchange;
+    let targetUser = null;
 
-    const ratingRaw = body.rating !== undefined ? body.rating : existing.rating;
-    const ratingValue = Number(ratingRaw);
-    if (!Number.isFinite(ratingValue) || ratingValue < 1 || ratingValue > 5) {
-      return res.status(400).json({ error: "Baholash 1-5 oralig'ida bo'lishi kerak." });
+    if (telegramUserId !== undefined && telegramUserId !== null && telegramUserId !== "") {
+      const numericUserId = Number(telegramUserId);
+      if (!Number.isInteger(numericUserId) || numericUserId <= 0) {
+        return res.status(400).json({ error: "Telegram ID noto'g'ri." });
+      }
+      targetUser = (await getUserByTelegramId(numericUserId)) || {
+        telegram_user_id: numericUserId,
+        phone: null,
+      };
+    } else if (phone) {
+      // Same "+<digits>" form verifyTelegramContact stores, matched exactly: a suffix match
+      // could pick whichever user happens to share the last digits
+      const digits = String(phone).replace(/\D/g, "");
+      if (digits.length < 9) {
+        return res.status(400).json({ error: "Telefon raqam noto'g'ri." });
+      }
+      const normalizedPhone = `+${digits}`;
+      const userResult = await pool.query(
+        "SELECT * FROM users WHERE '+' || regexp_replace(phone, '\\D', '', 'g') = $1",
+        [normalizedPhone],
+      );
+      if (userResult.rowCount === 0) {
+        return res.status(404).json({ error: "Foydalanuvchi topilmadi." });
+      }
+      if (userResult.rowCount > 1) {
+        return res.status(409).json({ error: "Bu raqam bir nechta foydalanuvchida bor, Telegram ID kiriting." });
+      }
+      targetUser = userResult.rows[0];
+    } else {
+      return res.status(400).json({ error: "Telegram ID yoki telefon kerak." });
     }
 
-    await pool.query(
-      `UPDATE listings
-       SET model = $1,
-           name = $2,
-           condition = $3,
-           storage = $4,
-           color = $5,
-           box = $6,
-           price = $7,
-           price_formatted = $8,
-           battery = $9,
-           exchange = $10,
-           warranty = $11,
-           rating = $12
-       WHERE code = $13`,
-      [
-        model,
-        name,
-        condition,
-        storage,
-        color,
-        box,
-        priceValue,
-        priceFormatted,
-        battery,
-        exchangeValue,
-        warranty,
-        ratingValue,
-        code,
-      ],
+    const targetUserId = Number(targetUser.telegram_user_id);
+    const insertResult = await pool.query(
+      `INSERT INTO admins (telegram_user_id, phone, added_by, role)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (telegram_user_id) DO NOTHING
+       RETURNING id`,
+      [targetUserId, phone || targetUser.phone || null, req.adminUserId || null, role],
     );
-
-    const updated = await pool.query(
-      `SELECT *, ${listingStatusSql} FROM listings WHERE code = $1`,
-      [code],
+    if (insertResult.rowCount === 0) {
+      return res.status(409).json({ error: "Bu foydalanuvchi allaqachon admin." });
+    }
+
+    const result = await pool.query(`${adminSelectSql} WHERE a.id = $1`, [
+      insertResult.rows[0].id,
+    ]);
+    const admin = mapAdminRow(result.rows[0]);
+    console.log("Admin added:", targetUserId, "by:", req.adminUserId);
+    await notifyOrdersChat(
+      `Yangi admin qo'shildi: ${formatAdminLabel(admin)}, rol: ${admin.role}\nQo'shdi: ${req.adminUserId || "noma'lum"}`,
     );
-    return res.json(mapListingRow(updated.rows[0]));
+    return res.json(admin);
   } catch (error) {
-    console.error("Listing update error:", error);
+    console.error("Admin create error:", error);
     return res.status(500).json({ error: "Server xatosi." });
   }
 });
 
-app.delete("/api/listings/:code", async (req, res) => {
+app.patch("/api/admins/:telegramUserId", requireAdmin("admins.manage"), async (req, res) => {
   try {
-    const code = Number(req.params.code);
-    if (!Number.isFinite(code)) {
-      return res.status(400).json({ error: "Kod noto'g'ri." });
+    const targetUserId = Number(req.params.telegramUserId);
+    if (!Number.isInteger(targetUserId) || targetUserId <= 0) {
+      return res.status(400).json({ error: "Telegram ID noto'g'ri." });
+    }
+    const role = req.body?.role;
+    if (!adminRoles.includes(role)) {
+      return res.status(400).json({ error: "Rol noto'g'ri." });
+    }
+    if (bootstrapAdminIds.includes(targetUserId)) {
+      return res.status(403).json({ error: "Asosiy adminning rolini o'zgartirib bo'lmaydi." });
+    }
+    if (req.adminUserId && targetUserId === Number(req.adminUserId)) {
+      return res.status(400).json({ error: "O'z rolingizni o'zgartira olmaysiz." });
     }
 
-    const adminCheck = await requireAdminFromRequest(req);
-    if (!adminCheck.ok) {
-      return res.status(adminCheck.status).json({ error: adminCheck.error });
+    const updateResult = await pool.query(
+      "UPDATE admins SET role = $1 WHERE telegram_user_id = $2 RETURNING id",
+      [role, targetUserId],
+    );
+    if (updateResult.rowCount === 0) {
+      return res.status(404).json({ error: "Topilmadi." });
     }
 
-    const existingResult = await pool.query(
-      "SELECT * FROM listings WHERE code = $1",
-      [code],
+    const result = await pool.query(`${adminSelectSql} WHERE a.id = $1`, [
+      updateResult.rows[0].id,
+    ]);
+    const admin = mapAdminRow(result.rows[0]);
+    console.log("Admin role changed:", targetUserId, "->", role, "by:", req.adminUserId);
+    await notifyOrdersChat(
+      `Admin roli o'zgardi: ${formatAdminLabel(admin)}, rol: ${role}\nO'zgartirdi: ${req.adminUserId || "noma'lum"}`,
     );
+    return res.json(admin);
+  } catch (error) {
+    console.error("Admin role update error:", error);
+    return res.status(500).json({ error: "Server xatosi." });
+  }
+});
+
+// Bootstrap admins come from env and would be re-seeded on restart, so they can't be revoked here
+app.delete("/api/admins/:telegramUserId", requireAdmin("admins.manage"), async (req, res) => {
+  try {
+    const targetUserId = Number(req.params.telegramUserId);
+    if (!Number.isInteger(targetUserId) || targetUserId <= 0) {
+      return res.status(400).json({ error: "Telegram ID noto'g'ri." });
+    }
+    if (bootstrapAdminIds.includes(targetUserId)) {
+      return res.status(403).json({ error: "Asosiy adminni o'chirib bo'lmaydi." });
+    }
+    if (req.adminUserId && targetUserId === Number(req.adminUserId)) {
+      return res.status(400).json({ error: "O'zingizni o'chira olmaysiz." });
+    }
+
+    const existingResult = await pool.query(`${adminSelectSql} WHERE a.telegram_user_id = $1`, [
+      targetUserId,
+    ]);
     if (existingResult.rowCount === 0) {
       return res.status(404).json({ error: "Topilmadi." });
     }
 
-    const existing = existingResult.rows[0];
-    const images = normalizeImages(existing.images);
-    images.forEach((image) => {
-      if (!image) return;
-      const match = image.match(/\/uploads\/(.+)$/);
-      const filename = match?.[1] || "";
-      if (!filename || filename.includes("..")) return;
-      fs.unlink(path.join(UPLOAD_DIR, filename), () => {});
-    });
-
-    await pool.query("DELETE FROM listings WHERE code = $1", [code]);
+    await pool.query("DELETE FROM admins WHERE telegram_user_id = $1", [targetUserId]);
+    const admin = mapAdminRow(existingResult.rows[0]);
+    console.log("Admin revoked:", targetUserId, "by:", req.adminUserId);
+    await notifyOrdersChat(
+      `Admin o'chirildi: ${formatAdminLabel(admin)}\nO'chirdi: ${req.adminUserId || "noma'lum"}`,
+    );
     return res.json({ success: true });
   } catch (error) {
-    console.error("Listing delete error:", error);
+    console.error("Admin revoke error:", error);
     return res.status(500).json({ error: "Server xatosi." });
   }
 });
 
-app.post("/api/bookings", async (req, res) => {
+app.get("/api/analytics/revenue", requireAdmin("reports.view"), async (req, res) => {
   try {
-    const {
-      initData,
-      listingCode,
-      fullName,
-      phone,
-      downPayment,
-      months,
-    } = req.body || {};
-
-    if (!listingCode || !fullName || !phone || !months) {
-      return res.status(400).json({ error: "Ma'lumotlar to'liq emas." });
+    const period = String(req.query.period || "day");
+    if (!analyticsPeriods.includes(period)) {
+      return res.status(400).json({ error: "Davr noto'g'ri (day, week, month)." });
     }
-
-    // Auth is OPTIONAL for booking - user provides phone for verification
-    // If initData is provided, try to extract userId for tracking
-    let userId = null;
-    if (initData) {
-      const verification = verifyTelegramWebAppData(initData, TELEGRAM_BOT_TOKEN);
-      if (verification.valid && verification.userId) {
-        userId = verification.userId;
-        console.log("Booking with verified user:", userId);
-      } else {
-        // Invalid initData - just ignore it, don't fail
-        console.log("Booking with invalid/missing auth - proceeding anyway");
-      }
-    } else {
-      console.log("Booking without initData - proceeding with phone verification only");
+    const range = parseAnalyticsRange(req.query);
+    if (!range.ok) {
+      return res.status(400).json({ error: range.error });
     }
 
-    const listingResult = await pool.query(
-      `SELECT *, ${listingStatusSql} FROM listings WHERE code = $1`,
-      [Number(listingCode)],
+    const result = await pool.query(
+      `SELECT date_trunc($3, sold_at AT TIME ZONE $4) AT TIME ZONE $4 AS period_start,
+              COUNT(*)::int AS sold_count,
+              SUM(price) AS revenue,
+              SUM(total_payment) AS total_payment
+       FROM (${soldBookingsSql}) sales
+       GROUP BY period_start
+       ORDER BY period_start ASC`,
+      [range.from, range.to, period, ANALYTICS_TIMEZONE],
     );
 
-    if (listingResult.rowCount === 0) {
-      return res.status(404).json({ error: "Telefon topilmadi." });
-    }
+    const rows = result.rows.map((row) => ({
+      periodStart: row.period_start,
+      soldCount: row.sold_count,
+      revenue: Number(row.revenue),
+      totalPayment: Number(row.total_payment),
+    }));
+    return res.json({
+      period,
+      rows,
+      totalRevenue: roundMoney(rows.reduce((sum, row) => sum + row.revenue, 0)),
+      totalSold: rows.reduce((sum, row) => sum + row.soldCount, 0),
+    });
+  } catch (error) {
+    console.error("Revenue analytics error:", error);
+    return res.status(500).json({ error: "Server xatosi." });
+  }
+});
 
-    const listing = listingResult.rows[0];
-    const listingStatus = listing.listing_status || "available";
-    if (listingStatus === "reserved") {
-      return res.status(409).json({ error: "Telefon hozircha bron qilingan." });
+// Bookings created in the range and how far they got; "reserved" also counts
+// bookings that were reserved before being sold or canceled
+app.get("/api/analytics/funnel", requireAdmin("reports.view"), async (req, res) => {
+  try {
+    const range = parseAnalyticsRange(req.query);
+    if (!range.ok) {
+      return res.status(400).json({ error: range.error });
     }
-    if (listingStatus === "sold") {
-      return res.status(409).json({ error: "Telefon sotilgan." });
+
+    const result = await pool.query(
+      `SELECT COUNT(*)::int AS created,
+              COUNT(*) FILTER (
+                WHERE b.status IN ('reserved', 'sold') OR EXISTS (
+                  SELECT 1 FROM booking_status_history h
+                  WHERE h.booking_id = b.id AND h.new_status = 'reserved'
+                )
+              )::int AS reserved,
+              COUNT(*) FILTER (WHERE b.status = 'sold')::int AS sold,
+              COUNT(*) FILTER (WHERE b.status = 'canceled')::int AS canceled,
+              COUNT(*) FILTER (WHERE b.status = 'expired')::int AS expired,
+              COUNT(*) FILTER (WHERE b.status = 'pending')::int AS pending
+       FROM bookings b
+       WHERE ($1::timestamptz IS NULL OR b.created_at >= $1)
+         AND ($2::timestamptz IS NULL OR b.created_at < $2)`,
+      [range.from, range.to],
+    );
+
+    const funnel = result.rows[0];
+    const rate = (count) =>
+      funnel.created > 0 ? Math.round((count / funnel.created) * 1000) / 10 : 0;
+    return res.json({
+      ...funnel,
+      reservedRatePercent: rate(funnel.reserved),
+      soldRatePercent: rate(funnel.sold),
+      canceledRatePercent: rate(funnel.canceled),
+    });
+  } catch (error) {
+    console.error("Funnel analytics error:", error);
+    return res.status(500).json({ error: "Server xatosi." });
+  }
+});
+
+app.get("/api/analytics/time-to-sale", requireAdmin("reports.view"), async (req, res) => {
+  try {
+    const range = parseAnalyticsRange(req.query);
+    if (!range.ok) {
+      return res.status(400).json({ error: range.error });
     }
-    const price = Number(listing.price);
-    const minDownPayment = Math.round(price * 0.3 * 100) / 100;
-    const requestedDown = Number(downPayment);
-    const monthsValue = Number(months);
 
-    if (!Number.isFinite(monthsValue) || monthsValue < 2 || monthsValue > 12) {
-      return res.status(400).json({ error: "Oylar 2-12 oralig'ida bo'lishi kerak." });
+    const result = await pool.query(
+      `SELECT COUNT(*)::int AS sold_count,
+              AVG(EXTRACT(EPOCH FROM (sold_at - listed_at)) / 86400) AS average_days,
+              percentile_cont(0.5) WITHIN GROUP (
+                ORDER BY EXTRACT(EPOCH FROM (sold_at - listed_at)) / 86400
+              ) AS median_days
+       FROM (${soldBookingsSql}) sales`,
+      [range.from, range.to],
+    );
+
+    const row = result.rows[0];
+    const toDays = (value) => (value === null ? null : Math.round(Number(value) * 10) / 10);
+    return res.json({
+      soldCount: row.sold_count,
+      averageDays: toDays(row.average_days),
+      medianDays: toDays(row.median_days),
+    });
+  } catch (error) {
+    console.error("Time-to-sale analytics error:", error);
+    return res.status(500).json({ error: "Server xatosi." });
+  }
+});
+
+app.get("/api/analytics/top-sellers", requireAdmin("reports.view"), async (req, res) => {
+  try {
+    const range = parseAnalyticsRange(req.query);
+    if (!range.ok) {
+      return res.status(400).json({ error: range.error });
     }
+    const limit = Math.min(Math.max(Number(req.query.limit) || 10, 1), 50);
+
+    const groupBy = async (column) => {
+      const result = await pool.query(
+        `SELECT ${column} AS value, COUNT(*)::int AS sold_count, SUM(price) AS revenue
+         FROM (${soldBookingsSql}) sales
+         GROUP BY ${column}
+         ORDER BY sold_count DESC, revenue DESC
+         LIMIT $3`,
+        [range.from, range.to, limit],
+      );
+      return result.rows.map((row) => ({
+        [column]: row.value,
+        soldCount: row.sold_count,
+        revenue: Number(row.revenue),
+      }));
+    };
 
-    const downPaymentValue = Number.isFinite(requestedDown) && requestedDown > 0
-      ? Math.max(requestedDown, minDownPayment)
-      : minDownPayment;
+    return res.json({
+      models: await groupBy("model"),
+      storages: await groupBy("storage"),
+    });
+  } catch (error) {
+    console.error("Top sellers analytics error:", error);
+    return res.status(500).json({ error: "Server xatosi." });
+  }
+});
 
-    const remaining = Math.max(price - downPaymentValue, 0);
-    const totalPayment = Math.round(remaining * (1 + 0.05 * monthsValue) * 100) / 100;
-    const monthlyPayment = Math.round((totalPayment / monthsValue) * 100) / 100;
+app.get("/api/analytics/stock", requireAdmin("reports.view"), async (_req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT listing_status, COUNT(*)::int AS count, COALESCE(SUM(price), 0) AS value
+       FROM (SELECT price, ${listingStatusSql} FROM listings) stock
+       GROUP BY listing_status`,
+    );
 
-    let orderCode = generateOrderCode();
-    let inserted = null;
+    const byStatus = {
+      available: { count: 0, value: 0 },
+      reserved: { count: 0, value: 0 },
+      sold: { count: 0, value: 0 },
+    };
+    result.rows.forEach((row) => {
+      byStatus[row.listing_status] = { count: row.count, value: Number(row.value) };
+    });
+    return res.json(byStatus);
+  } catch (error) {
+    console.error("Stock analytics error:", error);
+    return res.status(500).json({ error: "Server xatosi." });
+  }
+});
 
-    for (let attempt = 0; attempt < 3; attempt += 1) {
-      try {
-        const insertResult = await pool.query(
-          `INSERT INTO bookings (
-            order_code, listing_code, user_id, full_name, phone,
-            down_payment, months, monthly_payment, total_payment, status
-          ) VALUES (
-            $1, $2, $3, $4, $5,
-            $6, $7, $8, $9, 'pending'
-          )
-          RETURNING *`,
-          [
-            orderCode,
-            listing.code,
-            userId,
-            fullName,
-            phone,
-            downPaymentValue,
-            monthsValue,
-            monthlyPayment,
-            totalPayment,
-          ],
-        );
-        inserted = insertResult.rows[0];
-        break;
-      } catch (error) {
-        if (error.code === "23505") {
-          orderCode = generateOrderCode();
-        } else {
-          throw error;
-        }
-      }
+app.get("/api/exports/listings", requireAdmin("reports.view"), async (req, res) => {
+  try {
+    const exportQuery = parseExportQuery(req.query, listingStatuses);
+    if (!exportQuery.ok) {
+      return res.status(400).json({ error: exportQuery.error });
     }
 
-    if (!inserted) {
-      return res.status(500).json({ error: "Buyurtma yaratilmadi." });
+    const { format, status, from, to } = exportQuery;
+    const batches = fetchInBatches(
+      `SELECT * FROM (SELECT *, ${listingStatusSql} FROM listings) export
+       WHERE ($1::timestamptz IS NULL OR created_at >= $1)
+         AND ($2::timestamptz IS NULL OR created_at < $2)
+         AND ($3::text IS NULL OR listing_status = $3)`,
+      [from, to, status],
+    );
+    return await streamExport(res, {
+      format,
+      filename: `listings-${new Date().toISOString().slice(0, 10)}`,
+      columns: listingExportColumns,
+      batches,
+      mapRow: mapListingRow,
+    });
+  } catch (error) {
+    console.error("Listings export error:", error);
+    return res.status(500).json({ error: "Server xatosi." });
+  }
+});
+
+app.get("/api/exports/bookings", requireAdmin("reports.view"), async (req, res) => {
+  try {
+    const exportQuery = parseExportQuery(req.query, bookingStatuses);
+    if (!exportQuery.ok) {
+      return res.status(400).json({ error: exportQuery.error });
     }
 
-    try {
-      const message = `Yangi bron:
-Buyurtma kodi: ${inserted.order_code}
-Telefon kodi: ${listing.code}
-Model/Nomi: ${listing.model} ${listing.name}
-Narxi: ${listing.price_formatted}
-Boshlang'ich to'lov: $${downPaymentValue}
-Oylar: ${monthsValue}
-Oyiga: $${monthlyPayment}
-Jami: $${totalPayment}
-Ism: ${fullName}
-Telefon: ${phone}
-Status: pending`;
+    const { format, status, from, to } = exportQuery;
+    const batches = fetchInBatches(
+      `SELECT * FROM (
+         SELECT bookings.*,
+                listings.model AS listing_model,
+                listings.name AS listing_name,
+                listings.price AS listing_price,
+                (SELECT COALESCE(SUM(paid_amount), 0) FROM booking_installments i
+                 WHERE i.booking_id = bookings.id) AS paid_amount
+         FROM bookings
+         JOIN listings ON listings.code = bookings.listing_code
+       ) export
+       WHERE ($1::timestamptz IS NULL OR created_at >= $1)
+         AND ($2::timestamptz IS NULL OR created_at < $2)
+         AND ($3::text IS NULL OR status = $3)`,
+      [from, to, status],
+    );
+    return await streamExport(res, {
+      format,
+      filename: `bookings-${new Date().toISOString().slice(0, 10)}`,
+      columns: bookingExportColumns,
+      batches,
+      mapRow: (row) => ({
+        ...mapBookingRow(row),
+        listingModel: row.listing_model,
+        listingName: row.listing_name,
+        listingPrice: Number(row.listing_price),
+        paidAmount: Number(row.paid_amount),
+      }),
+    });
+  } catch (error) {
+    console.error("Bookings export error:", error);
+    return res.status(500).json({ error: "Server xatosi." });
+  }
+});
 
-      await sendBookingNotificationToAdmins(message, inserted.order_code);
-    } catch (error) {
-      console.error("Booking Telegram notify failed:", error);
+const telegramJobStatuses = ["pending", "running", "done", "failed"];
+
+app.get("/api/telegram-jobs", requireAdmin("jobs.manage"), async (req, res) => {
+  try {
+    const status = String(req.query.status || "failed");
+    if (!telegramJobStatuses.includes(status)) {
+      return res.status(400).json({ error: "Status noto'g'ri." });
+    }
+    const kind = req.query.kind ? String(req.query.kind) : null;
+    if (kind && !telegramJobKinds.includes(kind)) {
+      return res.status(400).json({ error: "Vazifa turi noto'g'ri." });
     }
 
-    return res.json(mapBookingRow(inserted));
+    const result = await pool.query(
+      `SELECT * FROM telegram_jobs
+       WHERE status = $1 AND ($2::text IS NULL OR kind = $2)
+       ORDER BY updated_at DESC, id DESC
+       LIMIT 100`,
+      [status, kind],
+    );
+    return res.json(result.rows.map(mapTelegramJobRow));
   } catch (error) {
-    console.error("Booking create error:", error);
+    console.error("Telegram jobs fetch error:", error);
     return res.status(500).json({ error: "Server xatosi." });
   }
 });
 
-app.get("/api/bookings/:orderCode", async (req, res) => {
+// Puts a failed job back in the queue with a fresh attempt budget
+app.post("/api/telegram-jobs/:id/retry", requireAdmin("jobs.manage"), async (req, res) => {
   try {
-    const orderCode = req.params.orderCode;
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) {
+      return res.status(400).json({ error: "ID noto'g'ri." });
+    }
+
     const result = await pool.query(
-      "SELECT * FROM bookings WHERE order_code = $1",
-      [orderCode],
+      `UPDATE telegram_jobs
+       SET status = 'pending', attempts = 0, run_at = NOW(), updated_at = NOW(), finished_at = NULL
+       WHERE id = $1 AND status = 'failed'
+       RETURNING *`,
+      [id],
     );
     if (result.rowCount === 0) {
-      return res.status(404).json({ error: "Bron topilmadi." });
+      const existing = await pool.query("SELECT 1 FROM telegram_jobs WHERE id = $1", [id]);
+      return existing.rowCount === 0
+        ? res.status(404).json({ error: "Topilmadi." })
+        : res.status(409).json({ error: "Faqat xato bo'lgan vazifani qayta ishga tushirish mumkin." });
+    }
+
+    const job = result.rows[0];
+    if (job.kind === "publish_listing" && job.listing_code) {
+      await pool.query("UPDATE listings SET publish_status = 'queued' WHERE code = $1", [
+        job.listing_code,
+      ]);
     }
-    return res.json(mapBookingRow(result.rows[0]));
+    wakeTelegramJobWorker();
+    console.log("Telegram job retried:", id, "by:", req.adminUserId);
+    return res.json(mapTelegramJobRow(job));
   } catch (error) {
-    console.error("Booking fetch error:", error);
+    console.error("Telegram job retry error:", error);
     return res.status(500).json({ error: "Server xatosi." });
   }
 });
 
-app.patch("/api/bookings/:orderCode/status", async (req, res) => {
+// Compares SHA-256 digests so timingSafeEqual gets equal-length buffers whatever was sent
+const webhookSecretMatches = (received) => {
+  if (!TELEGRAM_WEBHOOK_SECRET || typeof received !== "string") return false;
+  const digest = (value) => crypto.createHash("sha256").update(value).digest();
+  return crypto.timingSafeEqual(digest(TELEGRAM_WEBHOOK_SECRET), digest(received));
+};
+
+// Without the secret anyone could post a callback_query with an admin's from.id, so the
+// route is closed unless the secret is configured and matches
+app.post("/api/telegram/webhook", async (req, res) => {
+  if (!webhookSecretMatches(req.get("X-Telegram-Bot-Api-Secret-Token"))) {
+    return res.status(401).json({ error: "Ruxsat yo'q." });
+  }
+
   try {
-    const orderCode = req.params.orderCode;
-    const { initData, status } = req.body || {};
+    await handleTelegramUpdate(req.body);
+  } catch (error) {
+    console.error("Telegram webhook error:", error);
+  }
 
-    const allowedStatuses = ["pending", "reserved", "sold", "canceled"];
-    if (!allowedStatuses.includes(status)) {
-      return res.status(400).json({ error: "Status noto'g'ri." });
+  // Always acknowledge so Telegram does not keep redelivering the same update
+  return res.json({ ok: true });
+});
+
+app.use((err, _req, res, _next) => {
+  console.error("Unhandled error:", err);
+  res.status(500).json({ error: "Server xatosi." });
+});
+
+// Copies images that still live in UPLOAD_DIR into the configured storage driver and
+// rewrites listings.images to the new URLs
+const migrateStorage = async ({ dryRun = false, deleteLocal = false } = {}) => {
+  if (imageStorage.name === "local") {
+    console.log("migrate-storage: STORAGE_DRIVER=local, nothing to migrate");
+    return;
+  }
+
+  const listingsResult = await pool.query("SELECT code, images FROM listings ORDER BY code ASC");
+  const summary = { listings: 0, files: 0, missing: [] };
+
+  for (const row of listingsResult.rows) {
+    const images = normalizeImages(row.images);
+    const moved = [];
+    const nextImages = [];
+
+    for (const image of images) {
+      const filename = resolveUploadFilename(image);
+      const targetUrl = filename ? imageStorage.urlFor(filename) : image;
+      if (!filename || image === targetUrl) {
+        nextImages.push(image);
+        continue;
+      }
+
+      if (!fs.existsSync(path.join(UPLOAD_DIR, filename))) {
+        summary.missing.push(`#${row.code}: ${filename}`);
+        nextImages.push(image);
+        continue;
+      }
+
+      for (const name of getImageVariantFilenames(filename)) {
+        const localPath = path.join(UPLOAD_DIR, name);
+        if (!fs.existsSync(localPath)) {
+          summary.missing.push(`#${row.code}: ${name}`);
+          continue;
+        }
+        if (!dryRun) {
+          await imageStorage.save(name, localPath);
+        }
+        moved.push(name);
+        summary.files += 1;
+      }
+      nextImages.push(targetUrl);
     }
 
-    let userId = null;
-    let admin = false;
-    const directUserId = req.body?.userId || "";
+    if (moved.length === 0) continue;
+    summary.listings += 1;
+    console.log(`migrate-storage: #${row.code} ${moved.length} file(s)${dryRun ? " (dry run)" : ""}`);
 
-    // Try initData first
-    if (initData) {
-      const verification = verifyTelegramWebAppData(initData, TELEGRAM_BOT_TOKEN);
-      if (verification.valid) {
-        userId = verification.userId || null;
-        admin = await isAdminUser(userId);
+    if (!dryRun) {
+      await pool.query("UPDATE listings SET images = $1 WHERE code = $2", [nextImages, row.code]);
+      if (deleteLocal) {
+        moved.forEach((name) => fs.unlink(path.join(UPLOAD_DIR, name), () => {}));
       }
     }
+  }
 
-    // Fallback: try userId directly
-    if (!admin && directUserId) {
-      const numericUserId = Number(directUserId);
-      if (Number.isFinite(numericUserId) && numericUserId > 0) {
-        admin = await isAdminUser(numericUserId);
-        if (admin) {
-          userId = numericUserId;
-          console.log("PATCH booking status: admin verified by userId:", numericUserId);
-        }
+  console.log(
+    `migrate-storage: ${summary.files} file(s) in ${summary.listings} listing(s) -> ${imageStorage.name}${
+      dryRun ? " (dry run, nothing changed)" : ""
+    }`,
+  );
+  if (summary.missing.length > 0) {
+    console.log(`migrate-storage: missing in ${UPLOAD_DIR}:\n  ${summary.missing.join("\n  ")}`);
+  }
+};
+
+// Cross-references stored files with listings.images: reports (and optionally deletes)
+// unreferenced files past the grace period, and listings pointing at missing files.
+// With a remote driver the UPLOAD_DIR staging area is checked as well.
+const collectUploadGarbage = async ({ deleteOrphans = false, graceHours = UPLOAD_GC_GRACE_HOURS } = {}) => {
+  const locations = [{ name: imageStorage.name, storage: imageStorage }];
+  if (imageStorage.name !== "local") {
+    locations.push({ name: "local", storage: createLocalStorage({ uploadDir: UPLOAD_DIR }) });
+  }
+
+  const listingsResult = await pool.query("SELECT code, images FROM listings ORDER BY code ASC");
+  const referenced = new Map();
+  for (const row of listingsResult.rows) {
+    for (const image of normalizeImages(row.images)) {
+      const filename = resolveUploadFilename(image);
+      if (!filename) continue;
+      for (const name of getImageVariantFilenames(filename)) {
+        if (!referenced.has(name)) referenced.set(name, []);
+        referenced.get(name).push(row.code);
       }
     }
+  }
 
-    if (!admin && !DEV_BYPASS) {
-      return res.status(401).json({ error: "Auth kerak." });
+  const present = new Set();
+  const cutoff = Date.now() - graceHours * 60 * 60 * 1000;
+  const orphans = [];
+  let skippedRecent = 0;
+
+  for (const location of locations) {
+    const files = await location.storage.list();
+    for (const file of files) {
+      // Only the configured backend serves images, so a copy left on local disk in S3
+      // mode must not hide a file that is missing from the bucket
+      if (location.storage === imageStorage) present.add(file.filename);
+      if (referenced.has(file.filename)) continue;
+      if (new Date(file.modifiedAt).getTime() > cutoff) {
+        skippedRecent += 1;
+        continue;
+      }
+      orphans.push({ ...file, location: location.name, storage: location.storage });
     }
+  }
 
-    const bookingResult = await pool.query(
-      "SELECT * FROM bookings WHERE order_code = $1",
-      [orderCode],
-    );
-    if (bookingResult.rowCount === 0) {
-      return res.status(404).json({ error: "Bron topilmadi." });
+  const missing = [];
+  referenced.forEach((codes, filename) => {
+    if (!present.has(filename)) missing.push({ filename, listingCodes: codes });
+  });
+
+  let deleted = 0;
+  if (deleteOrphans) {
+    for (const orphan of orphans) {
+      try {
+        await orphan.storage.remove(orphan.filename);
+        deleted += 1;
+      } catch (error) {
+        console.error("gc-uploads: delete failed:", orphan.location, orphan.filename, error);
+      }
     }
+  }
 
-    const booking = bookingResult.rows[0];
-    if (!admin) {
-      return res.status(403).json({ error: "Ruxsat yo'q." });
+  const orphanBytes = orphans.reduce((sum, orphan) => sum + (Number(orphan.size) || 0), 0);
+  console.log(
+    `gc-uploads: ${orphans.length} orphan(s), ${Math.round(orphanBytes / 1024)} KB` +
+      ` (${skippedRecent} newer than ${graceHours}h skipped)` +
+      (deleteOrphans ? `, ${deleted} deleted` : ", run with --delete to remove"),
+  );
+  orphans.forEach((orphan) => {
+    console.log(`  orphan [${orphan.location}] ${orphan.filename}`);
+  });
+  if (missing.length > 0) {
+    console.log(`gc-uploads: ${missing.length} referenced file(s) missing:`);
+    missing.forEach((item) => {
+      console.log(`  missing ${item.filename} (listing #${item.listingCodes.join(", #")})`);
+    });
+  }
+
+  return {
+    orphans: orphans.map(({ storage: _storage, ...orphan }) => orphan),
+    missing,
+    deleted,
+    skippedRecent,
+  };
+};
+
+const commands = {
+  "gc-uploads": (args) => {
+    const graceArg = args.find((arg) => arg.startsWith("--grace-hours="));
+    const graceHours = graceArg ? Number(graceArg.split("=")[1]) : UPLOAD_GC_GRACE_HOURS;
+    if (!Number.isFinite(graceHours) || graceHours < 0) {
+      throw new Error("--grace-hours noto'g'ri.");
     }
+    return collectUploadGarbage({ deleteOrphans: args.includes("--delete"), graceHours });
+  },
+  "migrate-storage": (args) =>
+    migrateStorage({
+      dryRun: args.includes("--dry-run"),
+      deleteLocal: args.includes("--delete-local"),
+    }),
+};
 
-    const updateResult = await pool.query(
-      `UPDATE bookings
-       SET status = $1, updated_at = NOW()
-       WHERE order_code = $2
-       RETURNING *`,
-      [status, orderCode],
-    );
+async function runCommand(name, args) {
+  const command = commands[name];
+  if (!command) {
+    console.error(`Unknown command: ${name}. Available: ${Object.keys(commands).join(", ")}`);
+    process.exit(1);
+  }
 
-    return res.json(mapBookingRow(updateResult.rows[0]));
+  try {
+    await ensureSchema();
+    await command(args);
+    await pool.end();
   } catch (error) {
-    console.error("Booking status error:", error);
-    return res.status(500).json({ error: "Server xatosi." });
+    console.error(`${name} error:`, error);
+    process.exit(1);
   }
-});
-
-app.use((err, _req, res, _next) => {
-  console.error("Unhandled error:", err);
-  res.status(500).json({ error: "Server xatosi." });
-});
+}
 
 async function start() {
   try {
+    if (!SESSION_SECRET && !DEV_BYPASS) {
+      throw new Error("SESSION_SECRET is required unless ALLOW_DEV_BYPASS is on for localhost");
+    }
+    if (TELEGRAM_BOT_TOKEN && TELEGRAM_UPDATES_MODE === "webhook" && !TELEGRAM_WEBHOOK_SECRET) {
+      throw new Error("TELEGRAM_WEBHOOK_SECRET is required when TELEGRAM_UPDATES_MODE=webhook");
+    }
+    try {
+      new Intl.DateTimeFormat("en-US", { timeZone: ANALYTICS_TIMEZONE });
+    } catch (error) {
+      throw new Error(`ANALYTICS_TIMEZONE is not a valid IANA time zone: ${ANALYTICS_TIMEZONE}`);
+    }
     await ensureSchema();
     await seedAdmins();
+    await failStaleListingImports();
     app.listen(PORT, () => {
       console.log(`Server running on http://localhost:${PORT}`);
     });
+    await setupTelegramUpdates();
+    await startTelegramJobWorker();
+    startBookingExpiryScheduler();
+    startListingImportHeartbeat();
   } catch (error) {
     console.error("Server start error:", error);
     process.exit(1);
   }
 }
 
-start();
+const [commandName, ...commandArgs] = process.argv.slice(2);
+if (commandName) {
+  runCommand(commandName, commandArgs);
+} else {
+  start();
+}
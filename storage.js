@@ -0,0 +1,145 @@
+const path = require("path");
+const fs = require("fs");
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command,
+} = require("@aws-sdk/client-s3");
+
+const imageContentTypes = {
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".webp": "image/webp",
+  ".gif": "image/gif",
+};
+
+const getImageContentType = (filename) =>
+  imageContentTypes[path.extname(filename).toLowerCase()] || "application/octet-stream";
+
+// Storage drivers share one shape: urlFor, save (from a local file), read, exists, remove,
+// list ([{ filename, size, modifiedAt }]).
+// Uploads are always staged in UPLOAD_DIR first (multer + sharp) and then saved.
+const createLocalStorage = ({ uploadDir }) => ({
+  name: "local",
+  urlFor: (filename) => `/uploads/${filename}`,
+  save: async (filename, localPath) => {
+    const target = path.join(uploadDir, filename);
+    if (path.resolve(localPath) !== path.resolve(target)) {
+      await fs.promises.copyFile(localPath, target);
+    }
+  },
+  read: (filename) => fs.promises.readFile(path.join(uploadDir, filename)),
+  exists: async (filename) => fs.existsSync(path.join(uploadDir, filename)),
+  remove: async (filename) => {
+    try {
+      await fs.promises.unlink(path.join(uploadDir, filename));
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+    }
+  },
+  list: async () => {
+    const entries = await fs.promises.readdir(uploadDir, { withFileTypes: true });
+    const files = [];
+    for (const entry of entries) {
+      if (!entry.isFile() || entry.name.startsWith(".")) continue;
+      const stat = await fs.promises.stat(path.join(uploadDir, entry.name));
+      files.push({ filename: entry.name, size: stat.size, modifiedAt: stat.mtime });
+    }
+    return files;
+  },
+});
+
+// Any S3-compatible endpoint (AWS, MinIO, R2); options mirror the S3_* env vars
+const createS3Storage = ({
+  bucket,
+  region = "us-east-1",
+  endpoint = "",
+  accessKeyId = "",
+  secretAccessKey = "",
+  forcePathStyle = false,
+  prefix = "uploads/",
+  publicUrl = "",
+}) => {
+  if (!bucket) {
+    throw new Error("STORAGE_DRIVER=s3 uchun S3_BUCKET kerak.");
+  }
+
+  const client = new S3Client({
+    region,
+    ...(endpoint ? { endpoint } : {}),
+    forcePathStyle,
+    ...(accessKeyId
+      ? {
+          credentials: {
+            accessKeyId,
+            secretAccessKey,
+          },
+        }
+      : {}),
+  });
+
+  const keyFor = (filename) => `${prefix}${filename}`;
+  const publicBase = (
+    publicUrl ||
+    (endpoint
+      ? `${endpoint.replace(/\/$/, "")}/${bucket}`
+      : `https://${bucket}.s3.${region}.amazonaws.com`)
+  ).replace(/\/$/, "");
+
+  return {
+    name: "s3",
+    urlFor: (filename) => `${publicBase}/${keyFor(filename)}`,
+    save: async (filename, localPath) => {
+      await client.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: keyFor(filename),
+          Body: await fs.promises.readFile(localPath),
+          ContentType: getImageContentType(filename),
+        }),
+      );
+    },
+    read: async (filename) => {
+      const result = await client.send(new GetObjectCommand({ Bucket: bucket, Key: keyFor(filename) }));
+      return Buffer.from(await result.Body.transformToByteArray());
+    },
+    exists: async (filename) => {
+      try {
+        await client.send(new HeadObjectCommand({ Bucket: bucket, Key: keyFor(filename) }));
+        return true;
+      } catch (error) {
+        if (error?.$metadata?.httpStatusCode === 404) return false;
+        throw error;
+      }
+    },
+    remove: async (filename) => {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: keyFor(filename) }));
+    },
+    list: async () => {
+      const files = [];
+      let continuationToken;
+      do {
+        const result = await client.send(
+          new ListObjectsV2Command({
+            Bucket: bucket,
+            Prefix: prefix,
+            ContinuationToken: continuationToken,
+          }),
+        );
+        for (const object of result.Contents || []) {
+          const filename = object.Key.slice(prefix.length);
+          if (!filename || filename.includes("/")) continue;
+          files.push({ filename, size: object.Size, modifiedAt: object.LastModified });
+        }
+        continuationToken = result.IsTruncated ? result.NextContinuationToken : undefined;
+      } while (continuationToken);
+      return files;
+    },
+  };
+};
+
+module.exports = { createLocalStorage, createS3Storage };
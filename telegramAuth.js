@@ -0,0 +1,142 @@
+const crypto = require("crypto");
+
+// Clock skew tolerated for auth_date values slightly in the future
+const AUTH_DATE_SKEW_SECONDS = 60;
+
+const mapTelegramUser = (user) => ({
+  id: Number(user.id),
+  firstName: user.first_name || null,
+  lastName: user.last_name || null,
+  username: user.username || null,
+  languageCode: user.language_code || null,
+  isPremium: user.is_premium === true,
+  photoUrl: user.photo_url || null,
+});
+
+// Buffer.from(hex) silently stops at the first non-hex character, so the format is
+// checked first: a valid hash with trailing garbage must not match
+const hashesMatch = (calculatedHex, receivedHex) => {
+  if (!/^[0-9a-f]{64}$/i.test(String(receivedHex))) return false;
+  const calculated = Buffer.from(calculatedHex, "hex");
+  const received = Buffer.from(String(receivedHex), "hex");
+  return crypto.timingSafeEqual(calculated, received);
+};
+
+// Checks the hash and auth_date of a Telegram-signed query string (initData or a
+// requestContact response). Returns the remaining params on success.
+const checkSignedParams = (label, data, botToken, options) => {
+  const { maxAgeSeconds = 0, now = Date.now() } = options;
+
+  if (!data) {
+    console.log(`${label}: no initData`);
+    return { valid: false, reason: "missing" };
+  }
+
+  if (!botToken) {
+    console.log(`${label}: no botToken`);
+    return { valid: false, reason: "config" };
+  }
+
+  const urlParams = new URLSearchParams(data);
+  const hash = urlParams.get("hash");
+  if (!hash) {
+    console.log(`${label}: no hash in initData`);
+    return { valid: false, reason: "missing_hash" };
+  }
+
+  urlParams.delete("hash");
+  const dataCheckString = Array.from(urlParams.entries())
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([key, value]) => `${key}=${value}`)
+    .join("\n");
+
+  const secretKey = crypto.createHmac("sha256", "WebAppData").update(botToken).digest();
+  const calculatedHash = crypto
+    .createHmac("sha256", secretKey)
+    .update(dataCheckString)
+    .digest("hex");
+
+  if (!hashesMatch(calculatedHash, hash)) {
+    console.log(`${label}: hash mismatch`);
+    return { valid: false, reason: "hash_mismatch" };
+  }
+
+  const authDate = Number(urlParams.get("auth_date"));
+  if (maxAgeSeconds > 0) {
+    const nowSeconds = Math.floor(now / 1000);
+    if (!Number.isFinite(authDate) || authDate <= 0) {
+      console.log(`${label}: no auth_date`);
+      return { valid: false, reason: "missing_auth_date" };
+    }
+    if (authDate > nowSeconds + AUTH_DATE_SKEW_SECONDS) {
+      console.log(`${label}: auth_date in the future:`, authDate);
+      return { valid: false, reason: "expired" };
+    }
+    if (nowSeconds - authDate > maxAgeSeconds) {
+      console.log(`${label}: expired, auth_date:`, authDate);
+      return { valid: false, reason: "expired" };
+    }
+  }
+
+  return {
+    valid: true,
+    params: urlParams,
+    authDate: Number.isFinite(authDate) && authDate > 0 ? authDate : null,
+  };
+};
+
+// Validates Telegram WebApp initData (HMAC + auth_date age). maxAgeSeconds <= 0 disables
+// the age check; `now` (ms) is injectable for tests.
+const verifyTelegramWebAppData = (initData, botToken, options = {}) => {
+  try {
+    const signed = checkSignedParams("verifyTelegramWebAppData", initData, botToken, options);
+    if (!signed.valid) {
+      return signed;
+    }
+
+    const { params: urlParams, authDate: authDateValue } = signed;
+
+    const userJson = urlParams.get("user");
+    if (userJson) {
+      try {
+        const user = mapTelegramUser(JSON.parse(userJson));
+        console.log("verifyTelegramWebAppData: valid, userId:", user.id);
+        return { valid: true, userId: user.id, user, authDate: authDateValue };
+      } catch (parseError) {
+        console.error("verifyTelegramWebAppData: user parse error:", parseError);
+        return { valid: true, user: null, authDate: authDateValue };
+      }
+    }
+
+    console.log("verifyTelegramWebAppData: valid but no user data");
+    return { valid: true, user: null, authDate: authDateValue };
+  } catch (error) {
+    console.error("verifyTelegramWebAppData: error:", error);
+    return { valid: false, reason: "error" };
+  }
+};
+
+// Validates the raw `response` of WebApp.requestContact, which Telegram signs like initData.
+// Returns the shared phone normalized to "+<digits>".
+const verifyTelegramContact = (response, botToken, options = {}) => {
+  try {
+    const signed = checkSignedParams("verifyTelegramContact", response, botToken, options);
+    if (!signed.valid) {
+      return signed;
+    }
+
+    const contact = JSON.parse(signed.params.get("contact") || "null");
+    const digits = String(contact?.phone_number || "").replace(/\D/g, "");
+    if (!contact || !digits) {
+      console.log("verifyTelegramContact: no contact data");
+      return { valid: false, reason: "missing_contact" };
+    }
+
+    return { valid: true, userId: Number(contact.user_id), phone: `+${digits}` };
+  } catch (error) {
+    console.error("verifyTelegramContact: error:", error);
+    return { valid: false, reason: "error" };
+  }
+};
+
+module.exports = { verifyTelegramWebAppData, verifyTelegramContact };
@@ -0,0 +1,220 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+
+const { createLocalStorage, createS3Storage } = require("../storage");
+
+const BUCKET = "phones";
+
+const escapeXml = (value) =>
+  String(value).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+// Minimal path-style S3 endpoint standing in for MinIO: PUT/GET/HEAD/DELETE on objects and
+// ListObjectsV2 on the bucket, kept in memory. `requests` records method + key for asserts.
+const startS3Stub = async () => {
+  const objects = new Map();
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    const [, bucket, ...keyParts] = url.pathname.split("/");
+    const key = decodeURIComponent(keyParts.join("/"));
+    requests.push({ method: req.method, bucket, key });
+
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => {
+      if (bucket !== BUCKET) {
+        res.writeHead(404, { "Content-Type": "application/xml" });
+        res.end("<Error><Code>NoSuchBucket</Code></Error>");
+        return;
+      }
+
+      if (!key && req.method === "GET" && url.searchParams.get("list-type") === "2") {
+        const prefix = url.searchParams.get("prefix") || "";
+        const contents = [...objects.entries()]
+          .filter(([objectKey]) => objectKey.startsWith(prefix))
+          .map(
+            ([objectKey, object]) =>
+              `<Contents><Key>${escapeXml(objectKey)}</Key>` +
+              `<LastModified>${object.modifiedAt.toISOString()}</LastModified>` +
+              `<Size>${object.body.length}</Size></Contents>`,
+          )
+          .join("");
+        res.writeHead(200, { "Content-Type": "application/xml" });
+        res.end(
+          `<?xml version="1.0" encoding="UTF-8"?><ListBucketResult><Name>${BUCKET}</Name>` +
+            `<Prefix>${escapeXml(prefix)}</Prefix><IsTruncated>false</IsTruncated>${contents}</ListBucketResult>`,
+        );
+        return;
+      }
+
+      const object = objects.get(key);
+      if (req.method === "PUT") {
+        objects.set(key, {
+          body: Buffer.concat(chunks),
+          contentType: req.headers["content-type"],
+          modifiedAt: new Date(),
+        });
+        res.writeHead(200, { ETag: '"stub"' });
+        res.end();
+      } else if (req.method === "DELETE") {
+        objects.delete(key);
+        res.writeHead(204);
+        res.end();
+      } else if (!object) {
+        res.writeHead(404, { "Content-Type": "application/xml" });
+        res.end(req.method === "HEAD" ? undefined : "<Error><Code>NoSuchKey</Code></Error>");
+      } else {
+        res.writeHead(200, {
+          "Content-Type": object.contentType || "application/octet-stream",
+          "Content-Length": object.body.length,
+        });
+        res.end(req.method === "HEAD" ? undefined : object.body);
+      }
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const endpoint = `http://127.0.0.1:${server.address().port}`;
+  return { endpoint, objects, requests, close: () => new Promise((resolve) => server.close(resolve)) };
+};
+
+const writeTempFile = (dir, name, content) => {
+  const filePath = path.join(dir, name);
+  fs.writeFileSync(filePath, content);
+  return filePath;
+};
+
+test("s3 driver puts, reads, lists and deletes objects under the prefix", async (t) => {
+  const stub = await startS3Stub();
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "storage-test-"));
+  t.after(async () => {
+    await stub.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const storage = createS3Storage({
+    bucket: BUCKET,
+    endpoint: stub.endpoint,
+    accessKeyId: "minio",
+    secretAccessKey: "minio-secret",
+    forcePathStyle: true,
+  });
+  const localPath = writeTempFile(tempDir, "staged.jpg", "jpeg-bytes");
+
+  assert.equal(await storage.exists("100-1-original.jpg"), false);
+
+  await storage.save("100-1-original.jpg", localPath);
+  assert.deepEqual(stub.requests.at(-1), {
+    method: "PUT",
+    bucket: BUCKET,
+    key: "uploads/100-1-original.jpg",
+  });
+  assert.equal(stub.objects.get("uploads/100-1-original.jpg").contentType, "image/jpeg");
+
+  assert.equal(await storage.exists("100-1-original.jpg"), true);
+  assert.equal((await storage.read("100-1-original.jpg")).toString(), "jpeg-bytes");
+
+  const files = await storage.list();
+  assert.deepEqual(
+    files.map((file) => [file.filename, file.size]),
+    [["100-1-original.jpg", 10]],
+  );
+  assert.ok(files[0].modifiedAt instanceof Date);
+
+  await storage.remove("100-1-original.jpg");
+  assert.equal(await storage.exists("100-1-original.jpg"), false);
+  assert.deepEqual(await storage.list(), []);
+});
+
+test("s3 driver list skips keys outside the prefix or in sub-folders", async (t) => {
+  const stub = await startS3Stub();
+  t.after(() => stub.close());
+
+  const storage = createS3Storage({
+    bucket: BUCKET,
+    endpoint: stub.endpoint,
+    accessKeyId: "minio",
+    secretAccessKey: "minio-secret",
+    forcePathStyle: true,
+  });
+  const modifiedAt = new Date();
+  stub.objects.set("uploads/a.jpg", { body: Buffer.from("a"), modifiedAt });
+  stub.objects.set("uploads/thumbs/b.jpg", { body: Buffer.from("b"), modifiedAt });
+  stub.objects.set("other/c.jpg", { body: Buffer.from("c"), modifiedAt });
+
+  assert.deepEqual(
+    (await storage.list()).map((file) => file.filename),
+    ["a.jpg"],
+  );
+});
+
+test("s3 driver read of a missing object rejects", async (t) => {
+  const stub = await startS3Stub();
+  t.after(() => stub.close());
+
+  const storage = createS3Storage({
+    bucket: BUCKET,
+    endpoint: stub.endpoint,
+    accessKeyId: "minio",
+    secretAccessKey: "minio-secret",
+    forcePathStyle: true,
+  });
+
+  await assert.rejects(storage.read("missing.jpg"));
+});
+
+test("s3 driver builds public URLs from the endpoint or S3_PUBLIC_URL", () => {
+  const viaEndpoint = createS3Storage({
+    bucket: BUCKET,
+    endpoint: "http://minio:9000/",
+    forcePathStyle: true,
+  });
+  assert.equal(viaEndpoint.urlFor("x.jpg"), "http://minio:9000/phones/uploads/x.jpg");
+
+  const viaCdn = createS3Storage({
+    bucket: BUCKET,
+    publicUrl: "https://cdn.example.com/",
+    prefix: "",
+  });
+  assert.equal(viaCdn.urlFor("x.jpg"), "https://cdn.example.com/x.jpg");
+
+  const aws = createS3Storage({ bucket: BUCKET, region: "eu-central-1" });
+  assert.equal(aws.urlFor("x.jpg"), "https://phones.s3.eu-central-1.amazonaws.com/uploads/x.jpg");
+});
+
+test("s3 driver requires a bucket", () => {
+  assert.throws(() => createS3Storage({ bucket: "" }), /S3_BUCKET/);
+});
+
+test("local driver saves, reads, lists and removes files in the upload dir", async (t) => {
+  const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), "storage-test-"));
+  const stagingDir = fs.mkdtempSync(path.join(os.tmpdir(), "storage-test-"));
+  t.after(() => {
+    fs.rmSync(uploadDir, { recursive: true, force: true });
+    fs.rmSync(stagingDir, { recursive: true, force: true });
+  });
+
+  const storage = createLocalStorage({ uploadDir });
+  const localPath = writeTempFile(stagingDir, "staged.jpg", "jpeg-bytes");
+  writeTempFile(uploadDir, ".gitkeep", "");
+
+  assert.equal(storage.urlFor("a.jpg"), "/uploads/a.jpg");
+  assert.equal(await storage.exists("a.jpg"), false);
+
+  await storage.save("a.jpg", localPath);
+  assert.equal(await storage.exists("a.jpg"), true);
+  assert.equal((await storage.read("a.jpg")).toString(), "jpeg-bytes");
+  assert.deepEqual(
+    (await storage.list()).map((file) => [file.filename, file.size]),
+    [["a.jpg", 10]],
+  );
+
+  await storage.remove("a.jpg");
+  await storage.remove("a.jpg");
+  assert.equal(await storage.exists("a.jpg"), false);
+});
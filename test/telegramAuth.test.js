@@ -0,0 +1,187 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+
+const { verifyTelegramWebAppData, verifyTelegramContact } = require("../telegramAuth");
+
+const BOT_TOKEN = "123456:TEST-TOKEN";
+const NOW = Date.UTC(2025, 0, 15, 12, 0, 0);
+const nowSeconds = Math.floor(NOW / 1000);
+
+const telegramUser = {
+  id: 555001,
+  first_name: "Ali",
+  last_name: "Valiyev",
+  username: "ali_v",
+  language_code: "uz",
+  is_premium: true,
+};
+
+// Signs fields the same way Telegram does for WebApp initData
+const buildInitData = (fields, botToken = BOT_TOKEN) => {
+  const params = new URLSearchParams(fields);
+  const dataCheckString = Array.from(params.entries())
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([key, value]) => `${key}=${value}`)
+    .join("\n");
+  const secretKey = crypto.createHmac("sha256", "WebAppData").update(botToken).digest();
+  params.set("hash", crypto.createHmac("sha256", secretKey).update(dataCheckString).digest("hex"));
+  return params.toString();
+};
+
+const options = { maxAgeSeconds: 3600, now: NOW };
+
+test("accepts fresh initData and returns the parsed user", () => {
+  const initData = buildInitData({
+    auth_date: String(nowSeconds - 60),
+    query_id: "AAE",
+    user: JSON.stringify(telegramUser),
+  });
+
+  const result = verifyTelegramWebAppData(initData, BOT_TOKEN, options);
+
+  assert.equal(result.valid, true);
+  assert.equal(result.userId, 555001);
+  assert.equal(result.authDate, nowSeconds - 60);
+  assert.deepEqual(result.user, {
+    id: 555001,
+    firstName: "Ali",
+    lastName: "Valiyev",
+    username: "ali_v",
+    languageCode: "uz",
+    isPremium: true,
+    photoUrl: null,
+  });
+});
+
+test("rejects initData older than maxAgeSeconds", () => {
+  const initData = buildInitData({
+    auth_date: String(nowSeconds - 3601),
+    user: JSON.stringify(telegramUser),
+  });
+
+  const result = verifyTelegramWebAppData(initData, BOT_TOKEN, options);
+
+  assert.equal(result.valid, false);
+  assert.equal(result.reason, "expired");
+});
+
+test("rejects auth_date too far in the future", () => {
+  const initData = buildInitData({
+    auth_date: String(nowSeconds + 3600),
+    user: JSON.stringify(telegramUser),
+  });
+
+  assert.equal(verifyTelegramWebAppData(initData, BOT_TOKEN, options).reason, "expired");
+});
+
+test("rejects initData without auth_date when max age is enforced", () => {
+  const initData = buildInitData({ user: JSON.stringify(telegramUser) });
+
+  assert.equal(
+    verifyTelegramWebAppData(initData, BOT_TOKEN, options).reason,
+    "missing_auth_date",
+  );
+});
+
+test("skips the age check when maxAgeSeconds is 0", () => {
+  const initData = buildInitData({
+    auth_date: String(nowSeconds - 30 * 86400),
+    user: JSON.stringify(telegramUser),
+  });
+
+  const result = verifyTelegramWebAppData(initData, BOT_TOKEN, { maxAgeSeconds: 0, now: NOW });
+
+  assert.equal(result.valid, true);
+});
+
+test("rejects tampered fields", () => {
+  const initData = buildInitData({
+    auth_date: String(nowSeconds),
+    user: JSON.stringify(telegramUser),
+  });
+  const params = new URLSearchParams(initData);
+  params.set("user", JSON.stringify({ ...telegramUser, id: 1 }));
+
+  const result = verifyTelegramWebAppData(params.toString(), BOT_TOKEN, options);
+
+  assert.equal(result.valid, false);
+  assert.equal(result.reason, "hash_mismatch");
+});
+
+test("rejects initData signed with another bot token", () => {
+  const initData = buildInitData(
+    { auth_date: String(nowSeconds), user: JSON.stringify(telegramUser) },
+    "999:OTHER",
+  );
+
+  assert.equal(verifyTelegramWebAppData(initData, BOT_TOKEN, options).reason, "hash_mismatch");
+});
+
+test("rejects a malformed hash without throwing", () => {
+  const params = new URLSearchParams({ auth_date: String(nowSeconds), hash: "zz" });
+
+  assert.equal(
+    verifyTelegramWebAppData(params.toString(), BOT_TOKEN, options).reason,
+    "hash_mismatch",
+  );
+});
+
+test("rejects a valid hash followed by extra characters", () => {
+  const initData = buildInitData({
+    auth_date: String(nowSeconds),
+    user: JSON.stringify(telegramUser),
+  });
+  const params = new URLSearchParams(initData);
+  params.set("hash", `${params.get("hash")}zz`);
+
+  assert.equal(
+    verifyTelegramWebAppData(params.toString(), BOT_TOKEN, options).reason,
+    "hash_mismatch",
+  );
+});
+
+test("valid initData without a user has no userId", () => {
+  const initData = buildInitData({ auth_date: String(nowSeconds), query_id: "AAE" });
+
+  const result = verifyTelegramWebAppData(initData, BOT_TOKEN, options);
+
+  assert.equal(result.valid, true);
+  assert.equal(result.userId, undefined);
+  assert.equal(result.user, null);
+});
+
+test("rejects missing initData and missing bot token", () => {
+  assert.equal(verifyTelegramWebAppData("", BOT_TOKEN, options).reason, "missing");
+  assert.equal(verifyTelegramWebAppData("auth_date=1&hash=ab", "", options).reason, "config");
+});
+
+test("verifies a shared contact and normalizes the phone", () => {
+  const response = buildInitData({
+    auth_date: String(nowSeconds),
+    contact: JSON.stringify({ user_id: 555001, phone_number: "998 90 123-45-67", first_name: "Ali" }),
+  });
+
+  const result = verifyTelegramContact(response, BOT_TOKEN, options);
+
+  assert.equal(result.valid, true);
+  assert.equal(result.userId, 555001);
+  assert.equal(result.phone, "+998901234567");
+});
+
+test("rejects a forged contact", () => {
+  const response = buildInitData({
+    auth_date: String(nowSeconds),
+    contact: JSON.stringify({ user_id: 555001, phone_number: "998901234567" }),
+  });
+  const params = new URLSearchParams(response);
+  params.set("contact", JSON.stringify({ user_id: 555001, phone_number: "998900000000" }));
+
+  assert.equal(verifyTelegramContact(params.toString(), BOT_TOKEN, options).reason, "hash_mismatch");
+});
+
+test("rejects a signed response without contact data", () => {
+  const response = buildInitData({ auth_date: String(nowSeconds) });
+
+  assert.equal(verifyTelegramContact(response, BOT_TOKEN, options).reason, "missing_contact");
+});